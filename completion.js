@@ -0,0 +1,489 @@
+'use strict';
+
+const {
+  ArrayPrototypeFilter,
+  ArrayPrototypeForEach,
+  ArrayPrototypeJoin,
+  ArrayPrototypeMap,
+  ArrayPrototypePush,
+  ArrayPrototypePushApply,
+  ArrayPrototypeSlice,
+  ObjectEntries,
+  ObjectKeys,
+  ObjectPrototypeHasOwnProperty: ObjectHasOwn,
+  RegExpPrototypeSymbolReplace,
+} = require('./internal/primordials');
+
+const {
+  basename: PathBasename,
+} = require('path');
+
+const {
+  validateObject,
+  validateString,
+  validateUnion,
+} = require('./internal/validators');
+
+const {
+  kEmptyObject,
+} = require('./internal/util');
+
+const {
+  mergeCommandOptions,
+  objectGetOwn,
+  optionTakesValue,
+} = require('./utils');
+
+// These routines generate shell completion scripts from the same config as
+// used for parseArgs. Like the help routines, they only read the config.
+// The scripts complete the long and short option names (but not aliases),
+// option values from `choices` or as file names for string options, and
+// command names. The output only depends on the config, so can be compared
+// with a saved copy in tests.
+
+/**
+ * Describe an option for completion.
+ *
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @param {object} options - option configs available at the command level
+ * @param {boolean} allowNegative - from parseArgs({ allowNegative })
+ * @param {boolean} inherited - whether the option is from a parent command
+ * @returns {object}
+ */
+function describeOption(longOption, options, allowNegative, inherited) {
+  const optionConfig = options[longOption];
+  const type = objectGetOwn(optionConfig, 'type');
+  const negatable = (type === 'boolean' || type === 'count') &&
+    (objectGetOwn(optionConfig, 'negatable') ?? allowNegative);
+  const takesValue = optionTakesValue(longOption, options);
+  const choices = objectGetOwn(optionConfig, 'choices');
+  return {
+    long: longOption,
+    short: objectGetOwn(optionConfig, 'short'),
+    negatable,
+    // A preset value means the option value is optional, and only taken from
+    // the same argument.
+    takesValue: takesValue && objectGetOwn(optionConfig, 'preset') === undefined,
+    optionalValue: takesValue && objectGetOwn(optionConfig, 'preset') !== undefined,
+    choices,
+    files: type === 'string' && choices === undefined,
+    repeatable: objectGetOwn(optionConfig, 'multiple') || type === 'count',
+    valueLabel: objectGetOwn(optionConfig, 'valueLabel') ?? 'value',
+    description: objectGetOwn(optionConfig, 'description') ?? '',
+    inherited,
+  };
+}
+
+/**
+ * Collect the completion details for the top level and each command,
+ * depth first. The options for a command include the options of its parent
+ * commands, which remain available after the command.
+ *
+ * @param {object} config - from config passed to parseArgs
+ * @returns {object[]} levels like { path, options, commands, positionals }
+ */
+function collectLevels(config) {
+  const strict = objectGetOwn(config, 'strict') ?? true;
+  const allowNegative = objectGetOwn(config, 'allowNegative') ?? false;
+  const levels = [];
+  const visit = (levelConfig, path, parentOptions) => {
+    const ownOptions = objectGetOwn(levelConfig, 'options') ?? kEmptyObject;
+    validateObject(ownOptions, 'options');
+    const options = parentOptions === undefined ?
+      ownOptions : mergeCommandOptions(parentOptions, ownOptions);
+    const commands = objectGetOwn(levelConfig, 'commands');
+    const definitions = objectGetOwn(levelConfig, 'positionals');
+    const visibleOptions = ArrayPrototypeFilter(
+      ObjectKeys(options),
+      (longOption) => !objectGetOwn(options[longOption], 'hidden')
+    );
+    ArrayPrototypePush(levels, {
+      path,
+      options: ArrayPrototypeMap(visibleOptions, (longOption) =>
+        describeOption(longOption, options, allowNegative,
+                       !ObjectHasOwn(ownOptions, longOption))),
+      commands: commands === undefined ? [] : ObjectKeys(commands),
+      positionals: commands === undefined && (definitions !== undefined ?
+        definitions.length > 0 :
+        objectGetOwn(levelConfig, 'allowPositionals') ?? !strict),
+    });
+    if (commands !== undefined) {
+      ArrayPrototypeForEach(ObjectEntries(commands), ({ 0: command,
+                                                        1: commandConfig }) => {
+        visit(commandConfig, [...path, command], options);
+      });
+    }
+  };
+  visit(config, [], undefined);
+  return levels;
+}
+
+/**
+ * Make a shell function name from the program name and command path.
+ *
+ * @param {string} programName - name of the program being completed
+ * @param {string[]} path - command names
+ * @returns {string}
+ */
+function functionName(programName, path) {
+  const name = ArrayPrototypeJoin([programName, ...path], '_');
+  return `_${RegExpPrototypeSymbolReplace(/[^\w]/g, name, '_')}`;
+}
+
+/**
+ * Quote a string for the shell using single quotes, which is the same for
+ * bash and zsh.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteShell(value) {
+  return `'${RegExpPrototypeSymbolReplace(/'/g, value, "'\\''")}'`;
+}
+
+/**
+ * Quote a string for fish using single quotes.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteFish(value) {
+  return `'${RegExpPrototypeSymbolReplace(/['\\]/g, value, '\\$&')}'`;
+}
+
+/**
+ * Escape text for use in a zsh `_arguments` spec, where brackets and colons
+ * have special meaning.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeZsh(value) {
+  return RegExpPrototypeSymbolReplace(/[\\[\]:]/g, value, '\\$&');
+}
+
+/**
+ * Generate a bash completion script.
+ *
+ * @param {string} programName - name of the program being completed
+ * @param {object[]} levels - from collectLevels
+ * @returns {string[]} lines
+ */
+function generateBash(programName, levels) {
+  const name = functionName(programName, []);
+  const lines = [
+    `${name}() {`,
+    `  local cur="\${COMP_WORDS[COMP_CWORD]}"`,
+    `  local prev="\${COMP_WORDS[COMP_CWORD-1]}"`,
+    '  if [[ "$prev" == "=" ]]; then',
+    `    prev="\${COMP_WORDS[COMP_CWORD-2]}"`,
+    '  fi',
+    '',
+  ];
+
+  const commandLevels = ArrayPrototypeFilter(levels,
+                                             (level) => level.path.length > 0);
+  ArrayPrototypePush(lines, '  local command_path=""');
+  if (commandLevels.length > 0) {
+    ArrayPrototypePushApply(lines, [
+      '  local i',
+      '  for ((i = 1; i < COMP_CWORD; i++)); do',
+      `    case "\${command_path}:\${COMP_WORDS[i]}" in`,
+    ]);
+    ArrayPrototypeForEach(commandLevels, ({ path }) => {
+      const parentPath = ArrayPrototypeJoin(ArrayPrototypeSlice(path, 0, -1), ' ');
+      const command = path[path.length - 1];
+      ArrayPrototypePush(lines,
+                         `      ${quoteShell(`${parentPath}:${command}`)}) command_path=${quoteShell(ArrayPrototypeJoin(path, ' '))} ;;`);
+    });
+    ArrayPrototypePushApply(lines, [
+      '    esac',
+      '  done',
+    ]);
+  }
+  ArrayPrototypePush(lines, '');
+
+  // Complete the value for an option which takes a value.
+  ArrayPrototypePush(lines, `  case "\${command_path}:\${prev}" in`);
+  ArrayPrototypeForEach(levels, ({ path, options }) => {
+    const levelPath = ArrayPrototypeJoin(path, ' ');
+    ArrayPrototypeForEach(options, (option) => {
+      if (!option.takesValue) return;
+      const patterns = [quoteShell(`${levelPath}:--${option.long}`)];
+      if (option.short !== undefined) {
+        ArrayPrototypePush(patterns, quoteShell(`${levelPath}:-${option.short}`));
+      }
+      let reply = '()';
+      if (option.choices !== undefined) {
+        reply = `($(compgen -W ${quoteShell(ArrayPrototypeJoin(option.choices, ' '))} -- "$cur"))`;
+      } else if (option.files) {
+        reply = '($(compgen -f -- "$cur"))';
+      }
+      ArrayPrototypePushApply(lines, [
+        `    ${ArrayPrototypeJoin(patterns, '|')})`,
+        `      COMPREPLY=${reply}`,
+        '      return',
+        '      ;;',
+      ]);
+    });
+  });
+  ArrayPrototypePushApply(lines, [
+    '  esac',
+    '',
+  ]);
+
+  // Complete option names, command names, or positionals.
+  ArrayPrototypePushApply(lines, [
+    '  local options="" commands="" positionals=""',
+    '  case "$command_path" in',
+  ]);
+  ArrayPrototypeForEach(levels, ({ path, options, commands, positionals }) => {
+    const names = [];
+    ArrayPrototypeForEach(options, (option) => {
+      ArrayPrototypePush(names, option.optionalValue ?
+        `--${option.long}=` : `--${option.long}`);
+      if (option.negatable) ArrayPrototypePush(names, `--no-${option.long}`);
+      if (option.short !== undefined) ArrayPrototypePush(names, `-${option.short}`);
+    });
+    ArrayPrototypePushApply(lines, [
+      `    ${quoteShell(ArrayPrototypeJoin(path, ' '))})`,
+      `      options=${quoteShell(ArrayPrototypeJoin(names, ' '))}`,
+    ]);
+    if (commands.length > 0) {
+      ArrayPrototypePush(lines,
+                         `      commands=${quoteShell(ArrayPrototypeJoin(commands, ' '))}`);
+    }
+    if (positionals) {
+      ArrayPrototypePush(lines, '      positionals=files');
+    }
+    ArrayPrototypePush(lines, '      ;;');
+  });
+  ArrayPrototypePushApply(lines, [
+    '  esac',
+    '',
+    '  if [[ "$cur" == -* ]]; then',
+    '    COMPREPLY=($(compgen -W "$options" -- "$cur"))',
+    '  elif [[ -n "$commands" ]]; then',
+    '    COMPREPLY=($(compgen -W "$commands" -- "$cur"))',
+    '  elif [[ -n "$positionals" ]]; then',
+    '    COMPREPLY=($(compgen -f -- "$cur"))',
+    '  fi',
+    '}',
+    '',
+    `complete -F ${name} ${quoteShell(programName)}`,
+  ]);
+  return lines;
+}
+
+/**
+ * Generate the `_arguments` specs for an option for zsh.
+ *
+ * @param {object} option - from describeOption
+ * @returns {string[]} specs, quoted for the shell
+ */
+function zshOptionSpecs(option) {
+  const repeat = option.repeatable ? '*' : '';
+  const description = `[${escapeZsh(option.description)}]`;
+  let action = '';
+  if (option.choices !== undefined) {
+    const choices = ArrayPrototypeMap(option.choices, (choice) =>
+      RegExpPrototypeSymbolReplace(/[\\\s()]/g, escapeZsh(choice), '\\$&'));
+    action = `(${ArrayPrototypeJoin(choices, ' ')})`;
+  } else if (option.files) {
+    action = '_files';
+  }
+  const label = escapeZsh(option.valueLabel);
+  const specs = [];
+  if (option.takesValue) {
+    // Value in the same argument, or in the following argument.
+    ArrayPrototypePush(specs,
+                       `${repeat}--${option.long}=${description}:${label}:${action}`);
+    if (option.short !== undefined) {
+      ArrayPrototypePush(specs,
+                         `${repeat}-${option.short}+${description}:${label}:${action}`);
+    }
+  } else if (option.optionalValue) {
+    // Optional value, only in the same argument.
+    ArrayPrototypePush(specs,
+                       `${repeat}--${option.long}=-${description}::${label}:${action}`);
+    if (option.short !== undefined) {
+      ArrayPrototypePush(specs,
+                         `${repeat}-${option.short}-${description}::${label}:${action}`);
+    }
+  } else {
+    ArrayPrototypePush(specs, `${repeat}--${option.long}${description}`);
+    if (option.short !== undefined) {
+      ArrayPrototypePush(specs, `${repeat}-${option.short}${description}`);
+    }
+  }
+  if (option.negatable) {
+    ArrayPrototypePush(specs, `${repeat}--no-${option.long}${description}`);
+  }
+  return ArrayPrototypeMap(specs, quoteShell);
+}
+
+/**
+ * Generate a zsh completion script, with a function for each command.
+ *
+ * @param {string} programName - name of the program being completed
+ * @param {object[]} levels - from collectLevels
+ * @returns {string[]} lines
+ */
+function generateZsh(programName, levels) {
+  const name = functionName(programName, []);
+  const lines = [`#compdef ${programName}`];
+  ArrayPrototypeForEach(levels, ({ path, options, commands, positionals }) => {
+    const specs = [];
+    ArrayPrototypeForEach(options, (option) => {
+      ArrayPrototypePushApply(specs, zshOptionSpecs(option));
+    });
+    if (commands.length > 0) {
+      ArrayPrototypePushApply(specs, ["'1:command:->command'", "'*::arg:->args'"]);
+    } else if (positionals) {
+      ArrayPrototypePush(specs, "'*:file:_files'");
+    }
+
+    ArrayPrototypePushApply(lines, [
+      '',
+      `${functionName(programName, path)}() {`,
+      '  local curcontext="$curcontext" state line',
+    ]);
+    if (specs.length === 0) {
+      ArrayPrototypePush(lines, '  _arguments -C');
+    } else {
+      ArrayPrototypePush(lines, '  _arguments -C \\');
+      ArrayPrototypeForEach(specs, (spec, index) => {
+        ArrayPrototypePush(lines,
+                           `    ${spec}${index < specs.length - 1 ? ' \\' : ''}`);
+      });
+    }
+    if (commands.length > 0) {
+      ArrayPrototypePushApply(lines, [
+        '  case $state in',
+        '    command)',
+        `      compadd -- ${ArrayPrototypeJoin(ArrayPrototypeMap(commands, quoteShell), ' ')}`,
+        '      ;;',
+        '    args)',
+        '      case $line[1] in',
+      ]);
+      ArrayPrototypeForEach(commands, (command) => {
+        ArrayPrototypePush(lines,
+                           `        ${quoteShell(command)}) ${functionName(programName, [...path, command])} ;;`);
+      });
+      ArrayPrototypePushApply(lines, [
+        '      esac',
+        '      ;;',
+        '  esac',
+      ]);
+    }
+    ArrayPrototypePush(lines, '}');
+  });
+  ArrayPrototypePushApply(lines, [
+    '',
+    `if [ "$funcstack[1]" = ${quoteShell(name)} ]; then`,
+    `  ${name} "$@"`,
+    'else',
+    `  compdef ${name} ${quoteShell(programName)}`,
+    'fi',
+  ]);
+  return lines;
+}
+
+/**
+ * Generate a fish completion script.
+ *
+ * @param {string} programName - name of the program being completed
+ * @param {object[]} levels - from collectLevels
+ * @returns {string[]} lines
+ */
+function generateFish(programName, levels) {
+  const complete = `complete -c ${quoteFish(programName)}`;
+  // File completion is turned off by default, and turned back on for option
+  // values and positionals which are files.
+  const lines = [`${complete} -f`];
+  ArrayPrototypeForEach(levels, ({ path, options, commands, positionals }) => {
+    // Options of parent commands are completed by the parent, as they
+    // remain available after a command.
+    const seen = ArrayPrototypeMap(path, (command) =>
+      `__fish_seen_subcommand_from ${command}`);
+    const condition = ArrayPrototypeJoin(seen, '; and ');
+    const levelComplete = condition === '' ?
+      complete : `${complete} -n ${quoteFish(condition)}`;
+
+    ArrayPrototypeForEach(options, (option) => {
+      if (option.inherited) return;
+
+      let line = `${levelComplete} -l ${quoteFish(option.long)}`;
+      if (option.short !== undefined) line += ` -s ${quoteFish(option.short)}`;
+      if (option.takesValue) {
+        if (option.choices !== undefined) {
+          line += ` -x -a ${quoteFish(ArrayPrototypeJoin(option.choices, ' '))}`;
+        } else if (option.files) {
+          line += ' -r -F';
+        } else {
+          line += ' -x';
+        }
+      }
+      if (option.description !== '') line += ` -d ${quoteFish(option.description)}`;
+      ArrayPrototypePush(lines, line);
+      if (option.negatable) {
+        let negatedLine = `${levelComplete} -l ${quoteFish(`no-${option.long}`)}`;
+        if (option.description !== '') negatedLine += ` -d ${quoteFish(option.description)}`;
+        ArrayPrototypePush(lines, negatedLine);
+      }
+    });
+
+    if (commands.length > 0) {
+      const commandNames = ArrayPrototypeJoin(commands, ' ');
+      const commandCondition = path.length === 0 ?
+        '__fish_use_subcommand' :
+        `${condition}; and not __fish_seen_subcommand_from ${commandNames}`;
+      ArrayPrototypePush(lines,
+                         `${complete} -n ${quoteFish(commandCondition)} -a ${quoteFish(commandNames)}`);
+    }
+    if (positionals) {
+      ArrayPrototypePush(lines, `${levelComplete} -F`);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Generate a shell completion script for the options and commands in the
+ * config.
+ *
+ * @param {object} config - from config passed to parseArgs
+ * @param {object} completionConfig
+ * @param {string} completionConfig.shell - 'bash', 'zsh', or 'fish'
+ * @param {string} [completionConfig.programName] - defaults to the name of
+ *   the main script
+ * @returns {string}
+ */
+function generateCompletion(config, completionConfig) {
+  validateObject(config, 'config');
+  validateObject(completionConfig, 'completionConfig');
+  const shell = objectGetOwn(completionConfig, 'shell');
+  validateUnion(shell, 'shell', ['bash', 'zsh', 'fish']);
+  const programName = objectGetOwn(completionConfig, 'programName') ??
+    PathBasename(process.argv[1] ?? process.argv0);
+  validateString(programName, 'programName');
+
+  const levels = collectLevels(config);
+  let lines;
+  switch (shell) {
+    case 'bash':
+      lines = generateBash(programName, levels);
+      break;
+    case 'zsh':
+      lines = generateZsh(programName, levels);
+      break;
+    case 'fish':
+      lines = generateFish(programName, levels);
+      break;
+  }
+  return `${ArrayPrototypeJoin(lines, '\n')}\n`;
+}
+
+module.exports = {
+  generateCompletion,
+};
@@ -10,11 +10,9 @@ const options = {
   file: { short: 'f', type: 'string', default: 'FOO' },
 };
 
-const { values, tokens } = parseArgs({ options, tokens: true });
+const { values, sources } = parseArgs({ options, sources: true });
 
-const isFileDefault = !tokens.some((token) => token.kind === 'option' &&
- token.name === 'file'
-);
+const isFileDefault = sources.file === 'default';
 
 console.log(values);
 console.log(`Is the file option [${values.file}] the default value? ${isFileDefault}`);
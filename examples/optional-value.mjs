@@ -1,48 +1,23 @@
-// This is an example of adding support for an option with an optional value,
+// This is an example of an option with an optional value,
 // which can be used like a boolean-type or a string-type.
 
-import { parseArgs } from 'node:util';
-import process from 'node:process';
+// 1. import { parseArgs } from 'node:util'; // from node
+// 2. import { parseArgs } from '@pkgjs/parseargs'; // from package
+import { parseArgs } from '../index.js'; // in repo
 
 const options = {
   'host': {
     type: 'string',
     short: 'h',
     default: 'default.com',
+    // Value used when option is specified without an attached value.
     preset: 'localhost'
   },
   'debug': { type: 'boolean', short: 'd' },
 };
 
-const args = process.argv.slice(2);
-
-do {
-  const { tokens } = parseArgs({ args, options, strict: false, tokens: true });
-  // Insert preset if:
-  // - missing value, like: --host
-  // - value came from following option argument, like: --host --debug
-  // An empty string is a valid value for a string-type option.
-  const needsPreset = tokens.find((token) =>
-    token.kind === 'option' &&
-    options[token.name] &&
-    options[token.name].type === 'string' &&
-    options[token.name].preset !== undefined &&
-    (
-      token.value === undefined ||
-      (token.value.startsWith('-') && !token.inlineValue)
-    ));
-
-  if (!needsPreset) break;
-
-  // Add preset value as an inline value to the original argument.
-  const joiner = args[needsPreset.index].startsWith('--') ? '=' : '';
-  args[needsPreset.index] = `${args[needsPreset.index]}${joiner}${options[needsPreset.name].preset}`;
-
-} while (true);
-
-
-const { values } = parseArgs({ args, options });
-console.log(values);
+const { values, positionals } = parseArgs({ options, allowPositionals: true });
+console.log(values, positionals);
 
 // Try the following:
 //   node optional-value.mjs
@@ -54,4 +29,4 @@ console.log(values);
 //   node optional-value.mjs -h -d
 //   node optional-value.mjs -dh
 //   node optional-value.mjs --host --debug
-//   node optional-value.mjs --host -- POSITIONAL
+//   node optional-value.mjs --host POSITIONAL
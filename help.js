@@ -0,0 +1,371 @@
+'use strict';
+
+const {
+  ArrayPrototypeFilter,
+  ArrayPrototypeForEach,
+  ArrayPrototypeIncludes,
+  ArrayPrototypeJoin,
+  ArrayPrototypeMap,
+  ArrayPrototypePush,
+  ArrayPrototypePushApply,
+  ArrayPrototypeShift,
+  ArrayPrototypeSome,
+  ArrayPrototypeSort,
+  ArrayPrototypeUnshift,
+  JSONStringify,
+  MathFloor,
+  MathMax,
+  ObjectEntries,
+  StringPrototypeRepeat,
+  StringPrototypeSplit,
+} = require('./internal/primordials');
+
+const {
+  basename: PathBasename,
+} = require('path');
+
+const {
+  validateInteger,
+  validateObject,
+  validateString,
+} = require('./internal/validators');
+
+const {
+  kEmptyObject,
+} = require('./internal/util');
+
+const {
+  objectGetOwn,
+  optionTakesValue,
+} = require('./utils');
+
+// These routines generate help and usage text from the same config as used
+// for parseArgs. They only read the config, and do not parse any args.
+
+const kIndent = '  ';
+const kGap = '  ';
+const kMinDescriptionWidth = 20;
+
+/**
+ * Format a default value for display, e.g. '"dist"' or '["a", "b"]'.
+ *
+ * @param {*} value - default value from option config
+ * @returns {string}
+ */
+function formatDefaultValue(value) {
+  if (typeof value === 'string') return JSONStringify(value);
+  if (typeof value === 'object' && value !== null) {
+    const elements = ArrayPrototypeMap(value, formatDefaultValue);
+    return `[${ArrayPrototypeJoin(elements, ', ')}]`;
+  }
+  return `${value}`;
+}
+
+/**
+ * Word wrap text to the given width. Explicit newlines in the text are kept.
+ * Words longer than the width are not broken.
+ *
+ * @param {string} text - text to wrap
+ * @param {number} width - maximum line length
+ * @returns {string[]} lines
+ */
+function wrapText(text, width) {
+  const lines = [];
+  ArrayPrototypeForEach(StringPrototypeSplit(text, '\n'), (paragraph) => {
+    let line = '';
+    ArrayPrototypeForEach(StringPrototypeSplit(paragraph, ' '), (word) => {
+      if (word === '') return;
+      if (line === '') {
+        line = word;
+      } else if (line.length + 1 + word.length <= width) {
+        line = `${line} ${word}`;
+      } else {
+        ArrayPrototypePush(lines, line);
+        line = word;
+      }
+    });
+    ArrayPrototypePush(lines, line);
+  });
+  return lines;
+}
+
+/**
+ * Whether the option accepts the `--no-` form, from the option `negatable`
+ * or else the config `allowNegative`.
+ *
+ * @param {object} optionConfig - the option configuration properties
+ * @param {boolean} allowNegative - from parseArgs({ allowNegative })
+ * @returns {boolean}
+ */
+function isNegatable(optionConfig, allowNegative) {
+  const type = objectGetOwn(optionConfig, 'type');
+  return (type === 'boolean' || type === 'count') &&
+    (objectGetOwn(optionConfig, 'negatable') ?? allowNegative);
+}
+
+/**
+ * Format the option names column for an option, e.g. '-o, --out <dir>'.
+ *
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {boolean} alignShort - whether to leave space for a short option
+ * @param {boolean} allowNegative - from parseArgs({ allowNegative })
+ * @returns {string}
+ */
+function formatOptionNames(longOption, options, alignShort, allowNegative) {
+  const optionConfig = options[longOption];
+  const short = objectGetOwn(optionConfig, 'short');
+  let names = '';
+  if (short !== undefined) {
+    names = `-${short}, `;
+  } else if (alignShort) {
+    names = '    ';
+  }
+  names += isNegatable(optionConfig, allowNegative) ?
+    `--[no-]${longOption}` : `--${longOption}`;
+  if (optionTakesValue(longOption, options)) {
+    const valueLabel = objectGetOwn(optionConfig, 'valueLabel') ?? 'value';
+    names += objectGetOwn(optionConfig, 'preset') === undefined ?
+      ` <${valueLabel}>` : `[=${valueLabel}]`;
+  }
+  return names;
+}
+
+/**
+ * Format the description column for an option, including details like the
+ * default value from the option config.
+ *
+ * @param {object} optionConfig - the option configuration properties
+ * @returns {string}
+ */
+function formatOptionDescription(optionConfig) {
+  const parts = [];
+  const description = objectGetOwn(optionConfig, 'description');
+  if (description !== undefined && description !== '') {
+    ArrayPrototypePush(parts, description);
+  }
+  const choices = objectGetOwn(optionConfig, 'choices');
+  if (choices !== undefined) {
+    const formattedChoices = ArrayPrototypeMap(choices, formatDefaultValue);
+    ArrayPrototypePush(parts,
+                       `(choices: ${ArrayPrototypeJoin(formattedChoices, ', ')})`);
+  }
+  const defaultValue = objectGetOwn(optionConfig, 'default');
+  if (defaultValue !== undefined) {
+    ArrayPrototypePush(parts, `(default: ${formatDefaultValue(defaultValue)})`);
+  }
+  if (objectGetOwn(optionConfig, 'multiple') ||
+      objectGetOwn(optionConfig, 'type') === 'count') {
+    ArrayPrototypePush(parts, '(repeatable)');
+  }
+  if (objectGetOwn(optionConfig, 'required')) {
+    ArrayPrototypePush(parts, '(required)');
+  }
+  return ArrayPrototypeJoin(parts, ' ');
+}
+
+/**
+ * Generate help text describing the options in the config, with a section
+ * for the options without a `group`, followed by a section for each group.
+ *
+ * @param {object} config - from config passed to parseArgs
+ * @param {object} [helpConfig]
+ * @param {number} [helpConfig.width] - maximum line length, defaults to the
+ *   terminal width
+ * @returns {string}
+ */
+function formatHelp(config, helpConfig = kEmptyObject) {
+  validateObject(config, 'config');
+  validateObject(helpConfig, 'helpConfig');
+  const options = objectGetOwn(config, 'options') ?? kEmptyObject;
+  validateObject(options, 'options');
+  const allowNegative = objectGetOwn(config, 'allowNegative') ?? false;
+  const width = objectGetOwn(helpConfig, 'width') ??
+    (process.stdout.columns || 80);
+  validateInteger(width, 'width', 1);
+
+  const visibleOptions = ArrayPrototypeFilter(
+    ObjectEntries(options),
+    ({ 1: optionConfig }) => !objectGetOwn(optionConfig, 'hidden')
+  );
+  const alignShort = ArrayPrototypeSome(
+    visibleOptions,
+    ({ 1: optionConfig }) => objectGetOwn(optionConfig, 'short') !== undefined
+  );
+
+  // Collect the rows for each section, in order of first use of group.
+  const sectionNames = [];
+  const sectionRows = { __proto__: null };
+  ArrayPrototypeForEach(visibleOptions, ({ 0: longOption, 1: optionConfig }) => {
+    const sectionName = objectGetOwn(optionConfig, 'group') ?? 'Options';
+    if (!ArrayPrototypeIncludes(sectionNames, sectionName)) {
+      // Options without a group always come first.
+      if (sectionName === 'Options') {
+        ArrayPrototypeUnshift(sectionNames, sectionName);
+      } else {
+        ArrayPrototypePush(sectionNames, sectionName);
+      }
+      sectionRows[sectionName] = [];
+    }
+    ArrayPrototypePush(sectionRows[sectionName], {
+      names: formatOptionNames(longOption, options, alignShort,
+                               allowNegative),
+      description: formatOptionDescription(optionConfig),
+    });
+  });
+
+  // Align descriptions across all sections, but do not let long option
+  // names push the descriptions too far across.
+  const maxNamesWidth = MathFloor(width / 2);
+  let namesWidth = 0;
+  ArrayPrototypeForEach(visibleOptions, ({ 0: longOption }) => {
+    const names = formatOptionNames(longOption, options, alignShort,
+                                    allowNegative);
+    if (names.length <= maxNamesWidth) {
+      namesWidth = MathMax(namesWidth, names.length);
+    }
+  });
+  const descriptionColumn = kIndent.length + namesWidth + kGap.length;
+  const descriptionWidth = MathMax(width - descriptionColumn,
+                                   kMinDescriptionWidth);
+  const descriptionIndent = StringPrototypeRepeat(' ', descriptionColumn);
+
+  const lines = [];
+  ArrayPrototypeForEach(sectionNames, (sectionName) => {
+    if (lines.length > 0) ArrayPrototypePush(lines, '');
+    ArrayPrototypePush(lines, `${sectionName}:`);
+    ArrayPrototypeForEach(sectionRows[sectionName], ({ names, description }) => {
+      const descriptionLines = description === '' ?
+        [] : wrapText(description, descriptionWidth);
+      if (names.length > namesWidth || descriptionLines.length === 0) {
+        // Names too long to fit, so description starts on following line.
+        ArrayPrototypePush(lines, `${kIndent}${names}`);
+      } else {
+        const padding = StringPrototypeRepeat(' ', namesWidth - names.length);
+        ArrayPrototypePush(lines,
+                           `${kIndent}${names}${padding}${kGap}${ArrayPrototypeShift(descriptionLines)}`);
+      }
+      ArrayPrototypeForEach(descriptionLines, (line) => {
+        ArrayPrototypePush(lines, `${descriptionIndent}${line}`);
+      });
+    });
+  });
+
+  return ArrayPrototypeJoin(lines, '\n');
+}
+
+/**
+ * Format the usage of an option for the synopsis, e.g. '[-f <file>]...'.
+ *
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {boolean} allowNegative - from parseArgs({ allowNegative })
+ * @returns {string}
+ */
+function formatOptionUsage(longOption, options, allowNegative) {
+  const optionConfig = options[longOption];
+  const short = objectGetOwn(optionConfig, 'short');
+  let usage;
+  if (short !== undefined) {
+    usage = `-${short}`;
+  } else if (isNegatable(optionConfig, allowNegative)) {
+    usage = `--[no-]${longOption}`;
+  } else {
+    usage = `--${longOption}`;
+  }
+  if (optionTakesValue(longOption, options)) {
+    const choices = objectGetOwn(optionConfig, 'choices');
+    const valueLabel = objectGetOwn(optionConfig, 'valueLabel') ??
+      (choices !== undefined ? ArrayPrototypeJoin(choices, '|') : 'value');
+    if (objectGetOwn(optionConfig, 'preset') !== undefined) {
+      // Value must be in the same argument.
+      usage += short !== undefined ? `[${valueLabel}]` : `[=${valueLabel}]`;
+    } else {
+      usage += ` <${valueLabel}>`;
+    }
+  }
+  if (!objectGetOwn(optionConfig, 'required')) {
+    usage = `[${usage}]`;
+  }
+  if (objectGetOwn(optionConfig, 'multiple') ||
+      objectGetOwn(optionConfig, 'type') === 'count') {
+    usage += '...';
+  }
+  return usage;
+}
+
+/**
+ * Format the usage of a positional definition for the synopsis, like
+ * '<src>' for required or '[files...]' for optional and multiple.
+ *
+ * @param {object} definition - from parseArgs({ positionals })
+ * @returns {string}
+ */
+function formatPositionalUsage(definition) {
+  const name = objectGetOwn(definition, 'multiple') ?
+    `${definition.name}...` : definition.name;
+  return objectGetOwn(definition, 'required') ? `<${name}>` : `[${name}]`;
+}
+
+/**
+ * Generate a one-line usage synopsis from the config, like
+ * `usage: ls [-al] [--color <when>] [arg ...]`. Optional boolean options
+ * with a short option are combined into one group.
+ *
+ * @param {object} config - from config passed to parseArgs
+ * @param {object} [usageConfig]
+ * @param {string} [usageConfig.programName] - defaults to the name of the
+ *   main script
+ * @returns {string}
+ */
+function formatUsage(config, usageConfig = kEmptyObject) {
+  validateObject(config, 'config');
+  validateObject(usageConfig, 'usageConfig');
+  const options = objectGetOwn(config, 'options') ?? kEmptyObject;
+  validateObject(options, 'options');
+  const programName = objectGetOwn(usageConfig, 'programName') ??
+    PathBasename(process.argv[1] ?? process.argv0);
+  validateString(programName, 'programName');
+  const strict = objectGetOwn(config, 'strict') ?? true;
+  const allowPositionals = objectGetOwn(config, 'allowPositionals') ?? !strict;
+  const commands = objectGetOwn(config, 'commands');
+  const positionals = objectGetOwn(config, 'positionals');
+  const allowNegative = objectGetOwn(config, 'allowNegative') ?? false;
+
+  const shortGroup = [];
+  const optionUsages = [];
+  ArrayPrototypeForEach(ObjectEntries(options), ({ 0: longOption, 1: optionConfig }) => {
+    if (objectGetOwn(optionConfig, 'hidden')) return;
+    const short = objectGetOwn(optionConfig, 'short');
+    if (short !== undefined &&
+        objectGetOwn(optionConfig, 'type') === 'boolean' &&
+        !objectGetOwn(optionConfig, 'required') &&
+        !objectGetOwn(optionConfig, 'multiple')) {
+      ArrayPrototypePush(shortGroup, short);
+    } else {
+      ArrayPrototypePush(optionUsages,
+                         formatOptionUsage(longOption, options, allowNegative));
+    }
+  });
+
+  const parts = [`usage: ${programName}`];
+  if (shortGroup.length > 0) {
+    ArrayPrototypeSort(shortGroup);
+    ArrayPrototypePush(parts, `[-${ArrayPrototypeJoin(shortGroup, '')}]`);
+  }
+  ArrayPrototypePushApply(parts, optionUsages);
+  if (commands !== undefined) {
+    ArrayPrototypePush(parts, '<command>');
+  } else if (positionals !== undefined) {
+    ArrayPrototypePushApply(parts, ArrayPrototypeMap(positionals,
+                                                     formatPositionalUsage));
+  } else if (allowPositionals) {
+    ArrayPrototypePush(parts, '[arg ...]');
+  }
+  return ArrayPrototypeJoin(parts, ' ');
+}
+
+module.exports = {
+  formatHelp,
+  formatUsage,
+};
@@ -1,26 +1,42 @@
 'use strict';
 
 const {
+  ArrayPrototypeFilter,
   ArrayPrototypeForEach,
   ArrayPrototypeIncludes,
+  ArrayPrototypeJoin,
   ArrayPrototypeMap,
   ArrayPrototypePush,
   ArrayPrototypePushApply,
   ArrayPrototypeShift,
   ArrayPrototypeSlice,
+  ArrayPrototypeSome,
   ArrayPrototypeUnshiftApply,
+  NumberIsFinite,
   ObjectEntries,
+  ObjectKeys,
   ObjectPrototypeHasOwnProperty: ObjectHasOwn,
+  RegExpPrototypeSymbolReplace,
   StringPrototypeCharAt,
   StringPrototypeIndexOf,
   StringPrototypeSlice,
+  StringPrototypeSplit,
   StringPrototypeStartsWith,
+  StringPrototypeToUpperCase,
 } = require('./internal/primordials');
 
+const {
+  readFileSync,
+} = require('fs');
+
 const {
   validateArray,
+  validateBigInt,
   validateBoolean,
   validateBooleanArray,
+  validateFunction,
+  validateInteger,
+  validateNumber,
   validateObject,
   validateString,
   validateStringArray,
@@ -32,7 +48,12 @@ const {
 } = require('./internal/util');
 
 const {
+  findLongOptionForAlias,
+  findLongOptionForNegated,
   findLongOptionForShort,
+  findLongOptionsForPrefix,
+  findOptionSuggestions,
+  formatOptionName,
   isLoneLongOption,
   isLoneShortOption,
   isLongOptionAndValue,
@@ -40,20 +61,49 @@ const {
   isOptionLikeValue,
   isShortOptionAndValue,
   isShortOptionGroup,
+  mergeCommandOptions,
+  parseBooleanValue,
+  parseNumericValue,
   useDefaultValueOption,
   objectGetOwn,
   optionsGetOwn,
+  optionTakesValue,
 } = require('./utils');
 
+const {
+  formatHelp,
+  formatUsage,
+} = require('./help');
+
+const {
+  generateCompletion,
+} = require('./completion');
+
+const {
+  expandResponseFiles,
+} = require('./response-files');
+
 const {
   codes: {
     ERR_INVALID_ARG_VALUE,
+    ERR_OUT_OF_RANGE,
+    ERR_PARSE_ARGS_AMBIGUOUS_OPTION,
+    ERR_PARSE_ARGS_CONFLICTING_OPTIONS,
     ERR_PARSE_ARGS_INVALID_OPTION_VALUE,
+    ERR_PARSE_ARGS_MISSING_DEPENDENCY,
+    ERR_PARSE_ARGS_MISSING_OPTION,
+    ERR_PARSE_ARGS_TOO_FEW_POSITIONALS,
+    ERR_PARSE_ARGS_TOO_MANY_POSITIONALS,
+    ERR_PARSE_ARGS_UNKNOWN_COMMAND,
     ERR_PARSE_ARGS_UNKNOWN_OPTION,
     ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL,
   },
 } = require('./internal/errors');
 
+// Constraints for a count value from an environment variable, in the form of
+// an option config for the numeric checks.
+const kCountValueConfig = { __proto__: null, type: 'number', integer: true, min: 0 };
+
 function getMainArgs() {
   // Work out where to slice process.argv for user supplied arguments.
 
@@ -76,7 +126,8 @@ function getMainArgs() {
  * @param {object} token - from tokens as available from parseArgs
  */
 function checkOptionLikeValue(token) {
-  if (!token.inlineValue && isOptionLikeValue(token.value)) {
+  if (!token.inlineValue && !token.usedPreset &&
+      isOptionLikeValue(token.value)) {
     // Only show short example if user used short option.
     const example = StringPrototypeStartsWith(token.rawName, '--') ?
       `'${token.rawName}=-XYZ'` :
@@ -88,6 +139,59 @@ To specify an option argument starting with a dash use ${example}.`;
   }
 }
 
+/**
+ * In strict mode, throw if value is not a valid number for the option.
+ *
+ * @param {object} optionConfig - the option configuration properties
+ * @param {string} value - option value from user args
+ * @param {string} source - start of error message describing where value
+ *   came from, e.g. "Option '--foo <value>' argument"
+ */
+function checkNumericValue(optionConfig, value, source) {
+  const number = parseNumericValue(value, optionConfig);
+  if (number === undefined) {
+    const expected = objectGetOwn(optionConfig, 'type') === 'bigint' ||
+      objectGetOwn(optionConfig, 'integer') ? 'an integer' : 'a number';
+    throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(`${source} '${value}' is not ${expected}`);
+  }
+  const min = objectGetOwn(optionConfig, 'min');
+  if (min !== undefined && number < min) {
+    throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(`${source} '${value}' must be greater than or equal to ${min}`);
+  }
+  const max = objectGetOwn(optionConfig, 'max');
+  if (max !== undefined && number > max) {
+    throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(`${source} '${value}' must be less than or equal to ${max}`);
+  }
+}
+
+/**
+ * In strict mode, throw if value is not one of the choices for the option.
+ *
+ * @param {object} optionConfig - the option configuration properties
+ * @param {string} value - option value from user args
+ * @param {string} source - start of error message describing where value
+ *   came from, e.g. "Option '--foo <value>' argument"
+ */
+function checkChoiceValue(optionConfig, value, source) {
+  const choices = objectGetOwn(optionConfig, 'choices');
+  if (choices !== undefined && !ArrayPrototypeIncludes(choices, value)) {
+    throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(
+      `${source} '${value}' is invalid. Allowed values are: ${formatChoices(choices)}`,
+      { choices });
+  }
+}
+
+/**
+ * Format the allowed values of an option for use in messages.
+ *
+ * @param {string[]} choices - from option config
+ * @returns {string} e.g. "'json', 'text'"
+ */
+function formatChoices(choices) {
+  return ArrayPrototypeJoin(
+    ArrayPrototypeMap(choices, (choice) => `'${choice}'`), ', ');
+}
+
 /**
  * In strict mode, throw for usage errors.
  *
@@ -96,39 +200,296 @@ To specify an option argument starting with a dash use ${example}.`;
  */
 function checkOptionUsage(config, token) {
   if (!ObjectHasOwn(config.options, token.name)) {
+    if (config.allowAbbreviations &&
+        StringPrototypeStartsWith(token.rawName, '--')) {
+      // Abbreviations which match a single option were resolved by
+      // argsToTokens, so check whether this one matched several options.
+      const candidates = findLongOptionsForPrefix(
+        StringPrototypeSlice(token.rawName, 2), config.availableOptions);
+      if (candidates.length > 1) {
+        throw new ERR_PARSE_ARGS_AMBIGUOUS_OPTION(
+          token.rawName,
+          ArrayPrototypeMap(candidates, (longOption) => `--${longOption}`));
+      }
+    }
     throw new ERR_PARSE_ARGS_UNKNOWN_OPTION(
-      token.rawName, config.allowPositionals);
+      token.rawName, config.allowPositionals,
+      findOptionSuggestions(
+        token.rawName, config.availableOptions, config.allowNegative));
   }
 
-  const short = optionsGetOwn(config.options, token.name, 'short');
-  const shortAndLong = `${short ? `-${short}, ` : ''}--${token.name}`;
+  const shortAndLong = formatOptionName(token.name, config.options);
   const type = optionsGetOwn(config.options, token.name, 'type');
-  if (type === 'string' && typeof token.value !== 'string') {
+  if (token.negated && token.value != null) {
+    throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(`Negated option '${token.rawName}' does not take an argument`);
+  }
+  if (optionTakesValue(token.name, config.options) &&
+      typeof token.value !== 'string') {
     throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(`Option '${shortAndLong} <value>' argument missing`);
   }
+  const source = `Option '${shortAndLong} <value>' argument`;
+  if (type === 'number' || type === 'bigint') {
+    checkNumericValue(config.options[token.name], token.value, source);
+  }
+  if (typeof token.value === 'string') {
+    checkChoiceValue(config.options[token.name], token.value, source);
+  }
   // (Idiomatic test for undefined||null, expecting undefined.)
-  if (type === 'boolean' && token.value != null) {
+  if ((type === 'boolean' || type === 'count') && token.value != null) {
     throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(`Option '${shortAndLong}' does not take an argument`);
   }
 }
 
 
 /**
- * Store the option value in `values`.
+ * In strict mode, throw for invalid option values from environment variables.
+ *
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {object} token - env token from envToTokens
+ */
+function checkEnvUsage(options, token) {
+  const optionConfig = options[token.name];
+  const type = objectGetOwn(optionConfig, 'type');
+  const source = `Environment variable '${token.rawName}' for option '${formatOptionName(token.name, options)}'`;
+  if (type === 'boolean') {
+    if (parseBooleanValue(token.value) === undefined) {
+      throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(`${source} '${token.value}' is not a boolean`);
+    }
+    return;
+  }
+  if (type === 'count') {
+    checkNumericValue(kCountValueConfig, token.value, source);
+    return;
+  }
+  if (type === 'number' || type === 'bigint') {
+    checkNumericValue(optionConfig, token.value, source);
+  }
+  checkChoiceValue(optionConfig, token.value, source);
+}
+
+/**
+ * Run the value through the custom parse function for the option, if any.
+ * Errors thrown by the parse function are wrapped with the original error
+ * as the `cause`. Returning undefined is also an error, as the option would
+ * then look unset to the later phases.
  *
  * @param {string} longOption - long option name e.g. 'foo'
- * @param {string|undefined} optionValue - value from user args
+ * @param {*} value - value to be stored
  * @param {object} options - option configs, from parseArgs({ options })
+ * @param {object|undefined} token - option token, or undefined for default
+ */
+function parseOptionValue(longOption, value, options, token) {
+  const parse = optionsGetOwn(options, longOption, 'parse');
+  if (parse === undefined) return value;
+
+  const source = token === undefined ? 'default value' : 'argument';
+  const shortAndLong = formatOptionName(longOption, options);
+  let parsedValue;
+  try {
+    parsedValue = parse(value, { name: longOption, token });
+  } catch (error) {
+    throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(
+      `Option '${shortAndLong}' ${source} '${value}' is invalid: ${error?.message ?? error}`,
+      { cause: error });
+  }
+  if (parsedValue === undefined) {
+    throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(
+      `Option '${shortAndLong}' ${source} '${value}' is invalid: parse returned undefined`);
+  }
+  return parsedValue;
+}
+
+/**
+ * In strict mode, throw if any required options are missing.
+ *
+ * @param {object} config - from config passed to parseArgs
  * @param {object} values - option values returned in `values` by parseArgs
  */
-function storeOption(longOption, optionValue, options, values) {
+function checkRequiredOptions(config, values) {
+  const missingOptions = ArrayPrototypeFilter(
+    ObjectKeys(config.options),
+    (longOption) => optionsGetOwn(config.options, longOption, 'required') &&
+      values[longOption] === undefined
+  );
+  if (missingOptions.length > 0) {
+    throw new ERR_PARSE_ARGS_MISSING_OPTION(
+      ArrayPrototypeMap(missingOptions, (longOption) =>
+        formatOptionName(longOption, config.options)));
+  }
+}
+
+/**
+ * In strict mode, throw if there are fewer positionals than the required
+ * positional definitions, or more than the definitions allow.
+ *
+ * @param {object[]} definitions - from parseArgs({ positionals })
+ * @param {object[]} tokens - positional tokens for the definitions
+ */
+function checkPositionalCount(definitions, tokens) {
+  const missingPositionals = [];
+  for (let i = tokens.length; i < definitions.length; i++) {
+    if (objectGetOwn(definitions[i], 'required')) {
+      ArrayPrototypePush(missingPositionals, definitions[i].name);
+    }
+  }
+  if (missingPositionals.length > 0) {
+    throw new ERR_PARSE_ARGS_TOO_FEW_POSITIONALS(missingPositionals);
+  }
+  const lastDefinition = definitions[definitions.length - 1];
+  const multiple = lastDefinition !== undefined &&
+    objectGetOwn(lastDefinition, 'multiple');
+  if (!multiple && tokens.length > definitions.length) {
+    throw new ERR_PARSE_ARGS_TOO_MANY_POSITIONALS(
+      tokens[definitions.length].value, definitions.length);
+  }
+}
+
+/**
+ * Convert a positional to the type of its definition, and run it through
+ * the custom parse function, if any. In strict mode, throw if the value is
+ * not valid for the type.
+ *
+ * @param {object} definition - from parseArgs({ positionals })
+ * @param {object} token - positional token
+ * @param {boolean} strict - from parseArgs({ strict })
+ * @returns {*}
+ */
+function parsePositionalValue(definition, token, strict) {
+  const { name } = definition;
+  const source = `Positional argument '${name}' value`;
+  const type = objectGetOwn(definition, 'type');
+  let value = token.value;
+  if (type === 'number' || type === 'bigint') {
+    if (strict) {
+      checkNumericValue(definition, value, source);
+    }
+    value = parseNumericValue(value, definition) ?? value;
+  }
+  const parse = objectGetOwn(definition, 'parse');
+  if (parse === undefined) return value;
+
+  try {
+    return parse(value, { name, token });
+  } catch (error) {
+    throw new ERR_PARSE_ARGS_INVALID_OPTION_VALUE(
+      `${source} '${token.value}' is invalid: ${error?.message ?? error}`,
+      { cause: error });
+  }
+}
+
+/**
+ * Whether the option was used in args, other than in negated form like
+ * `--no-color`. Values from the environment or defaults do not count, so only
+ * options used in args trigger `conflicts`, `requires`, and `implies`.
+ *
+ * @param {object} level - parse state for the top level or a command
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @returns {boolean}
+ */
+function isUsedInArgs(level, longOption) {
+  return level.sources[longOption] === 'cli' && !level.negated[longOption];
+}
+
+/**
+ * In strict mode, throw if an option used in args conflicts with other options
+ * used in args, or is missing options it requires.
+ *
+ * @param {object} level - parse state for the top level or a command
+ * @param {string} longOption - long option name e.g. 'foo'
+ */
+function checkOptionConstraints(level, longOption) {
+  const { options, values } = level;
+  if (!isUsedInArgs(level, longOption)) return;
+
+  const conflicts = optionsGetOwn(options, longOption, 'conflicts') ?? [];
+  ArrayPrototypeForEach(conflicts, (otherOption) => {
+    if (isUsedInArgs(level, otherOption)) {
+      throw new ERR_PARSE_ARGS_CONFLICTING_OPTIONS(
+        formatOptionName(longOption, options),
+        formatOptionName(otherOption, options));
+    }
+  });
+  const requires = optionsGetOwn(options, longOption, 'requires') ?? [];
+  ArrayPrototypeForEach(requires, (otherOption) => {
+    // A dependency turned off in args, like `--no-cert`, is missing.
+    if (values[otherOption] === undefined || level.negated[otherOption]) {
+      throw new ERR_PARSE_ARGS_MISSING_DEPENDENCY(
+        formatOptionName(longOption, options),
+        formatOptionName(otherOption, options));
+    }
+  });
+}
+
+/**
+ * Store the values implied by the options used in args, for options which
+ * were not themselves used in args.
+ *
+ * @param {object} level - parse state for the top level or a command
+ */
+function storeImpliedOptions(level) {
+  const { options, values } = level;
+  ArrayPrototypeForEach(ObjectKeys(options), (longOption) => {
+    if (!isUsedInArgs(level, longOption)) return;
+
+    const implies = optionsGetOwn(options, longOption, 'implies');
+    if (implies === undefined) return;
+    ArrayPrototypeForEach(ObjectEntries(implies), ({ 0: otherOption,
+                                                     1: impliedValue }) => {
+      if (values[otherOption] === undefined) {
+        storeDefaultOption(otherOption, impliedValue, values);
+        storeSource(level, otherOption, 'implied');
+      }
+    });
+  });
+}
+
+/**
+ * Store the option value in `values`.
+ *
+ * @param {object} token - option token from argsToTokens, or env token
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {object} values - option values returned in `values` by parseArgs
+ * @param {boolean} [valid] - false if the token failed the strict-mode
+ *   checks in collect mode, so the value is not passed to the parse function
+ */
+function storeOption(token, options, values, valid = true) {
+  const longOption = token.name;
   if (longOption === '__proto__') {
     return; // No. Just no.
   }
 
+  const type = optionsGetOwn(options, longOption, 'type');
+  if (type === 'count') {
+    // Each use adds one, and a negated option resets the count to zero.
+    // (An inline value is ignored, and is a usage error in strict mode.)
+    if (token.negated) {
+      values[longOption] = 0;
+    } else if (token.kind === 'env') {
+      values[longOption] =
+        parseNumericValue(token.value, kCountValueConfig) ?? token.value;
+    } else {
+      values[longOption] = (values[longOption] ?? 0) + 1;
+    }
+    return;
+  }
+
   // We store based on the option value rather than option type,
   // preserving the users intent for author to deal with.
-  const newValue = optionValue ?? true;
+  // A negated option is always false, like a boolean option is always true.
+  let newValue = token.negated ? false : (token.value ?? true);
+  if ((type === 'number' || type === 'bigint') &&
+      typeof newValue === 'string') {
+    // Invalid numbers only get this far in non-strict or collect mode,
+    // and are stored as the string the user supplied.
+    newValue = parseNumericValue(newValue, options[longOption]) ?? newValue;
+  } else if (type === 'boolean' && token.kind === 'env') {
+    // Likewise, invalid booleans from the environment only get this far in
+    // non-strict or collect mode.
+    newValue = parseBooleanValue(newValue) ?? newValue;
+  }
+  if (valid) {
+    newValue = parseOptionValue(longOption, newValue, options, token);
+  }
   if (optionsGetOwn(options, longOption, 'multiple')) {
     // Always store value in array, including for boolean.
     // values[longOption] starts out not present,
@@ -151,8 +512,12 @@ function storeOption(longOption, optionValue, options, values) {
  * @param {string} longOption - long option name e.g. 'foo'
  * @param {string
  *         | boolean
+ *         | number
+ *         | bigint
  *         | string[]
- *         | boolean[]} optionValue - default value from option config
+ *         | boolean[]
+ *         | number[]
+ *         | bigint[]} optionValue - default value from option config
  * @param {object} values - option values returned in `values` by parseArgs
  */
 function storeDefaultOption(longOption, optionValue, values) {
@@ -163,28 +528,260 @@ function storeDefaultOption(longOption, optionValue, values) {
   values[longOption] = optionValue;
 }
 
+/**
+ * Validate a default value for a number or bigint option.
+ *
+ * @param {number|bigint} value - default value, or element of default array
+ * @param {string} name - property name for error message
+ * @param {object} optionConfig - the option configuration properties
+ */
+function validateNumericDefault(value, name, optionConfig) {
+  const min = objectGetOwn(optionConfig, 'min');
+  const max = objectGetOwn(optionConfig, 'max');
+  if (objectGetOwn(optionConfig, 'type') === 'bigint') {
+    validateBigInt(value, name);
+    if ((min !== undefined && value < min) ||
+        (max !== undefined && value > max)) {
+      throw new ERR_OUT_OF_RANGE(
+        name, `${min !== undefined ? `>= ${min}` : ''}${min !== undefined && max !== undefined ? ' && ' : ''}${max !== undefined ? `<= ${max}` : ''}`, value);
+    }
+  } else if (objectGetOwn(optionConfig, 'integer')) {
+    validateInteger(value, name, min, max);
+  } else {
+    validateNumber(value, name, min, max);
+    if (!NumberIsFinite(value)) {
+      throw new ERR_OUT_OF_RANGE(name, 'a finite number', value);
+    }
+  }
+}
+
+/**
+ * Return the name of the environment variable for an option, either from the
+ * option `env` or generated from the parser-wide `envPrefix`.
+ * @example
+ * getEnvName('dry-run', {}, 'MYAPP_') // returns 'MYAPP_DRY_RUN'
+ *
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @param {object} optionConfig - the option configuration properties
+ * @param {string|undefined} envPrefix - from parseArgs({ envPrefix })
+ * @returns {string|undefined}
+ */
+function getEnvName(longOption, optionConfig, envPrefix) {
+  const envName = objectGetOwn(optionConfig, 'env');
+  if (envName !== undefined) return envName;
+  if (envPrefix === undefined) return undefined;
+  return `${envPrefix}${StringPrototypeToUpperCase(
+    RegExpPrototypeSymbolReplace(/-/g, longOption, '_'))}`;
+}
+
+/**
+ * Create tokens for the options not set from the args which have a value in
+ * the environment. The value for a `multiple` option is split on commas.
+ * An empty environment variable is treated as not set.
+ *
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {object} values - option values stored from the args
+ * @param {object} env - environment variables, from parseArgs({ env })
+ * @param {string|undefined} envPrefix - from parseArgs({ envPrefix })
+ * @returns {object[]} env tokens like { kind: 'env', name, rawName, value }
+ */
+function envToTokens(options, values, env, envPrefix) {
+  const tokens = [];
+  ArrayPrototypeForEach(ObjectEntries(options), ({ 0: longOption,
+                                                   1: optionConfig }) => {
+    if (values[longOption] !== undefined) return;
+    const envName = getEnvName(longOption, optionConfig, envPrefix);
+    if (envName === undefined) return;
+    const envValue = objectGetOwn(env, envName);
+    if (envValue === undefined || envValue === '') return;
+
+    const envValues = objectGetOwn(optionConfig, 'multiple') ?
+      StringPrototypeSplit(envValue, ',') : [envValue];
+    ArrayPrototypeForEach(envValues, (value) => {
+      ArrayPrototypePush(tokens, {
+        kind: 'env', name: longOption, rawName: envName, value,
+      });
+    });
+  });
+  return tokens;
+}
+
+/**
+ * Validate a value for an option from the config, such as the `default`,
+ * against the option type and choices.
+ *
+ * @param {*} value - value from the config
+ * @param {string} name - property name for error messages
+ * @param {object} optionConfig - the option configuration properties
+ */
+function validateOptionValue(value, name, optionConfig) {
+  const multipleOption = objectGetOwn(optionConfig, 'multiple');
+  let validator;
+  switch (objectGetOwn(optionConfig, 'type')) {
+    case 'string':
+      validator = multipleOption ? validateStringArray : validateString;
+      break;
+
+    case 'boolean':
+      validator = multipleOption ? validateBooleanArray : validateBoolean;
+      break;
+
+    case 'count':
+      validator = (value, name) => validateInteger(value, name, 0);
+      break;
+
+    case 'number':
+    case 'bigint':
+      validator = (value, name) => {
+        if (!multipleOption) {
+          validateNumericDefault(value, name, optionConfig);
+          return;
+        }
+        validateArray(value, name);
+        for (let i = 0; i < value.length; i++) {
+          validateNumericDefault(value[i], `${name}[${i}]`, optionConfig);
+        }
+      };
+      break;
+  }
+  validator(value, name);
+
+  const choices = objectGetOwn(optionConfig, 'choices');
+  if (choices !== undefined) {
+    const values = multipleOption ? value : [value];
+    ArrayPrototypeForEach(values, (value) => {
+      if (!ArrayPrototypeIncludes(choices, value)) {
+        throw new ERR_INVALID_ARG_VALUE(
+          name,
+          value,
+          `must be one of ${formatChoices(choices)}`
+        );
+      }
+    });
+  }
+}
+
+/**
+ * Rebuild the args used for an unknown option token, like `['--foo', 'bar']`
+ * or `['-xyz']`, for forwarding to another program.
+ *
+ * @param {object} token - option token for an unknown option
+ * @returns {string[]}
+ */
+function getUnknownArgs(token) {
+  if (token.inlineValue === false) {
+    return [token.rawName, token.value];
+  }
+  if (token.inlineValue) {
+    const separator = StringPrototypeStartsWith(token.rawName, '--') ? '=' : '';
+    return [`${token.rawName}${separator}${token.value}`];
+  }
+  return [token.rawName];
+}
+
+/**
+ * Add the position of a token within the short option group it was expanded
+ * from, so the option can be located in the original arg. For example for
+ * `-f` in `-abfFILE` the offset is 3 and the value offset is 4.
+ *
+ * @param {object} token - option token
+ * @param {string|undefined} group - the short option group arg, if any
+ * @param {number} offset - offset of the short option in the group
+ * @returns {object} token
+ */
+function addGroupPosition(token, group, offset) {
+  if (group === undefined) return token;
+  token.group = group;
+  token.offset = offset;
+  if (token.inlineValue) {
+    token.valueOffset = offset + 1;
+  }
+  return token;
+}
+
+/**
+ * Find the long option for a long option used in args, which may be an alias
+ * or, if allowed, an abbreviation matching a single option. Returns the
+ * option as used if not found.
+ *
+ * @param {string} typedOption - long option as used in args, without dashes
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {boolean} allowAbbreviations - from parseArgs({ allowAbbreviations })
+ * @returns {string}
+ */
+function findLongOption(typedOption, options, allowAbbreviations) {
+  const longOption = findLongOptionForAlias(typedOption, options);
+  if (!allowAbbreviations || ObjectHasOwn(options, longOption)) {
+    return longOption;
+  }
+  const candidates = findLongOptionsForPrefix(typedOption, options);
+  return candidates.length === 1 ? candidates[0] : typedOption;
+}
+
 /**
  * Process args and turn into identified tokens:
  * - option (along with value, if any)
  * - positional
+ * - command
  * - option-terminator
+ * - option-stop, before the positional where option parsing stopped
  *
  * @param {string[]} args - from parseArgs({ args }) or mainArgs
  * @param {object} options - option configs, from parseArgs({ options })
+ * @param {object} [config] - tokenizer settings from parseArgs config
+ * @param {boolean} [config.allowNegative] - default for options.*.negatable
+ * @param {boolean} [config.allowAbbreviations] - resolve unique prefixes of
+ *   long options
+ * @param {object} [config.commands] - command configs, from
+ *   parseArgs({ commands })
+ * @param {boolean} [config.stopAtFirstPositional] - treat all the args from
+ *   the first positional as positionals
+ * @param {string[]} [config.stopAt] - words which treat all the args from the
+ *   word as positionals
+ * @param {boolean} [config.allowUnknown] - keep the values of unknown options
+ *   with the option, for forwarding
+ * @param {boolean} [config.unknownTakesValue] - whether an unknown option
+ *   takes the following arg as its value, defaults to true
  */
-function argsToTokens(args, options) {
+function argsToTokens(args, options, config = kEmptyObject) {
+  const allowNegative = objectGetOwn(config, 'allowNegative') ?? false;
+  const allowAbbreviations =
+    objectGetOwn(config, 'allowAbbreviations') ?? false;
+  const stopAtFirstPositional =
+    objectGetOwn(config, 'stopAtFirstPositional') ?? false;
+  const stopAt = objectGetOwn(config, 'stopAt') ?? [];
+  let commands = objectGetOwn(config, 'commands');
+  const allowUnknown = objectGetOwn(config, 'allowUnknown') ?? false;
+  const unknownTakesValue = objectGetOwn(config, 'unknownTakesValue') ?? true;
   const tokens = [];
   let index = -1;
   let groupCount = 0;
+  let groupArg;
+  let groupOffsets;
+
+  // An unknown option may have a value, which is taken from the following
+  // arg if it does not look like an option, command, or stop word.
+  const isUnknownOption = (longOption) =>
+    allowUnknown && !ObjectHasOwn(options, longOption);
+  const isUnknownOptionValue = (arg) => unknownTakesValue &&
+    arg !== undefined && !StringPrototypeStartsWith(arg, '-') &&
+    !(commands !== undefined && ObjectHasOwn(commands, arg)) &&
+    !ArrayPrototypeIncludes(stopAt, arg);
 
   const remainingArgs = ArrayPrototypeSlice(args);
   while (remainingArgs.length > 0) {
     const arg = ArrayPrototypeShift(remainingArgs);
     const nextArg = remainingArgs[0];
-    if (groupCount > 0)
+    let group;
+    let groupOffset;
+    if (groupCount > 0) {
+      // Arg expanded from a short option group.
+      group = groupArg;
+      groupOffset = groupOffsets[groupOffsets.length - groupCount];
       groupCount--;
-    else
+    } else {
       index++;
+    }
 
     // Check if `arg` is an options terminator.
     // Guideline 10 in https://pubs.opengroup.org/onlinepubs/9699919799/basedefs/V1_chap12.html
@@ -203,34 +800,75 @@ function argsToTokens(args, options) {
       // e.g. '-f'
       const shortOption = StringPrototypeCharAt(arg, 1);
       const longOption = findLongOptionForShort(shortOption, options);
+      const preset = optionsGetOwn(options, longOption, 'preset');
+      if (preset !== undefined &&
+          optionTakesValue(longOption, options)) {
+        // Option value is optional and only taken from same argument,
+        // e.g. '-f' stores preset and does not consume 'bar'
+        ArrayPrototypePush(
+          tokens,
+          addGroupPosition(
+            { kind: 'option', name: longOption, rawName: arg,
+              index, value: preset, inlineValue: undefined, usedPreset: true },
+            group, groupOffset));
+        continue;
+      }
       let value;
       let inlineValue;
-      if (optionsGetOwn(options, longOption, 'type') === 'string' &&
-          isOptionValue(nextArg)) {
+      if ((optionTakesValue(longOption, options) &&
+           isOptionValue(nextArg)) ||
+          (isUnknownOption(longOption) && isUnknownOptionValue(nextArg))) {
         // e.g. '-f', 'bar'
         value = ArrayPrototypeShift(remainingArgs);
         inlineValue = false;
       }
       ArrayPrototypePush(
         tokens,
-        { kind: 'option', name: longOption, rawName: arg,
-          index, value, inlineValue });
+        addGroupPosition(
+          { kind: 'option', name: longOption, rawName: arg,
+            index, value, inlineValue },
+          group, groupOffset));
       if (value != null) ++index;
       continue;
     }
 
+    if (isShortOptionGroup(arg, options) &&
+        isUnknownOption(
+          findLongOptionForShort(StringPrototypeCharAt(arg, 1), options))) {
+      // e.g. -xyz for unknown x, kept together as the rest of the group
+      // may be a value
+      const shortOption = StringPrototypeCharAt(arg, 1);
+      ArrayPrototypePush(
+        tokens,
+        addGroupPosition(
+          { kind: 'option', name: findLongOptionForShort(shortOption, options),
+            rawName: `-${shortOption}`, index,
+            value: StringPrototypeSlice(arg, 2), inlineValue: true },
+          group, groupOffset));
+      continue;
+    }
+
     if (isShortOptionGroup(arg, options)) {
       // Expand -fXzy to -f -X -z -y
+      // (Also keep offset of each short option in group.)
       const expanded = [];
+      const offsets = [];
       for (let index = 1; index < arg.length; index++) {
         const shortOption = StringPrototypeCharAt(arg, index);
         const longOption = findLongOptionForShort(shortOption, options);
-        if (optionsGetOwn(options, longOption, 'type') !== 'string' ||
+        ArrayPrototypePush(offsets, index);
+        if (isUnknownOption(longOption)) {
+          // Unknown option after start of group, kept with rest of group.
+          // Expand -fxyz to -f -xyz
+          ArrayPrototypePush(expanded, `-${StringPrototypeSlice(arg, index)}`);
+          break; // finished short group
+        }
+        if (!optionTakesValue(longOption, options) ||
           index === arg.length - 1) {
           // Boolean option, or last short in group. Well formed.
           ArrayPrototypePush(expanded, `-${shortOption}`);
         } else {
-          // String option in middle. Yuck.
+          // String (or other value) option in middle. Yuck.
           // Expand -abfFILE to -a -b -fFILE
           ArrayPrototypePush(expanded, `-${StringPrototypeSlice(arg, index)}`);
           break; // finished short group
@@ -238,6 +876,8 @@ function argsToTokens(args, options) {
       }
       ArrayPrototypeUnshiftApply(remainingArgs, expanded);
       groupCount = expanded.length;
+      groupArg = arg;
+      groupOffsets = offsets;
       continue;
     }
 
@@ -248,18 +888,44 @@ function argsToTokens(args, options) {
       const value = StringPrototypeSlice(arg, 2);
       ArrayPrototypePush(
         tokens,
-        { kind: 'option', name: longOption, rawName: `-${shortOption}`,
-          index, value, inlineValue: true });
+        addGroupPosition(
+          { kind: 'option', name: longOption, rawName: `-${shortOption}`,
+            index, value, inlineValue: true },
+          group, groupOffset));
       continue;
     }
 
     if (isLoneLongOption(arg)) {
       // e.g. '--foo'
-      const longOption = StringPrototypeSlice(arg, 2);
+      const typedOption = StringPrototypeSlice(arg, 2);
+      const negatedOption = findLongOptionForNegated(
+        typedOption, options, allowNegative);
+      if (negatedOption !== undefined) {
+        // e.g. '--no-foo'
+        ArrayPrototypePush(
+          tokens,
+          { kind: 'option', name: negatedOption, rawName: arg,
+            index, value: undefined, inlineValue: undefined, negated: true });
+        continue;
+      }
+      const longOption = findLongOption(
+        typedOption, options, allowAbbreviations);
+      const preset = optionsGetOwn(options, longOption, 'preset');
+      if (preset !== undefined &&
+          optionTakesValue(longOption, options)) {
+        // Option value is optional and only taken from same argument,
+        // e.g. '--foo' stores preset and does not consume 'bar'
+        ArrayPrototypePush(
+          tokens,
+          { kind: 'option', name: longOption, rawName: arg,
+            index, value: preset, inlineValue: undefined, usedPreset: true });
+        continue;
+      }
       let value;
       let inlineValue;
-      if (optionsGetOwn(options, longOption, 'type') === 'string' &&
-          isOptionValue(nextArg)) {
+      if ((optionTakesValue(longOption, options) &&
+           isOptionValue(nextArg)) ||
+          (isUnknownOption(longOption) && isUnknownOptionValue(nextArg))) {
         // e.g. '--foo', 'bar'
         value = ArrayPrototypeShift(remainingArgs);
         inlineValue = false;
@@ -275,122 +941,1079 @@ function argsToTokens(args, options) {
     if (isLongOptionAndValue(arg)) {
       // e.g. --foo=bar
       const equalIndex = StringPrototypeIndexOf(arg, '=');
-      const longOption = StringPrototypeSlice(arg, 2, equalIndex);
+      const typedOption = StringPrototypeSlice(arg, 2, equalIndex);
       const value = StringPrototypeSlice(arg, equalIndex + 1);
+      const negatedOption = findLongOptionForNegated(
+        typedOption, options, allowNegative);
+      if (negatedOption !== undefined) {
+        // e.g. '--no-foo=bar', which is a usage error in strict mode
+        ArrayPrototypePush(
+          tokens,
+          { kind: 'option', name: negatedOption, rawName: `--${typedOption}`,
+            index, value, inlineValue: true, negated: true });
+        continue;
+      }
+      const longOption = findLongOption(
+        typedOption, options, allowAbbreviations);
       ArrayPrototypePush(
         tokens,
-        { kind: 'option', name: longOption, rawName: `--${longOption}`,
+        { kind: 'option', name: longOption, rawName: `--${typedOption}`,
           index, value, inlineValue: true });
       continue;
     }
 
+    if (commands !== undefined) {
+      // First positional is a command, if it matches a configured command.
+      const commandConfig = objectGetOwn(commands, arg);
+      if (commandConfig !== undefined) {
+        ArrayPrototypePush(tokens, { kind: 'command', name: arg, index });
+        options = mergeCommandOptions(
+          options, objectGetOwn(commandConfig, 'options'));
+        commands = objectGetOwn(commandConfig, 'commands');
+        continue;
+      }
+      // Not a command, so stop looking for commands.
+      commands = undefined;
+    }
+
+    if (stopAtFirstPositional || ArrayPrototypeIncludes(stopAt, arg)) {
+      // Everything from here is considered a positional argument, like the
+      // args for a program run by this one.
+      ArrayPrototypePush(tokens, { kind: 'option-stop', index });
+      ArrayPrototypePush(tokens, { kind: 'positional', index, value: arg });
+      ArrayPrototypePushApply(
+        tokens, ArrayPrototypeMap(remainingArgs, (arg) => {
+          return { kind: 'positional', index: ++index, value: arg };
+        })
+      );
+      break; // Finished processing args, leave while loop.
+    }
+
     ArrayPrototypePush(tokens, { kind: 'positional', index, value: arg });
   }
 
   return tokens;
 }
 
-const parseArgs = (config = kEmptyObject) => {
-  const args = objectGetOwn(config, 'args') ?? getMainArgs();
-  const strict = objectGetOwn(config, 'strict') ?? true;
-  const allowPositionals = objectGetOwn(config, 'allowPositionals') ?? !strict;
-  const returnTokens = objectGetOwn(config, 'tokens') ?? false;
-  const options = objectGetOwn(config, 'options') ?? { __proto__: null };
-  // Bundle these up for passing to strict-mode checks.
-  const parseConfig = { args, strict, options, allowPositionals };
-
-  // Validate input configuration.
-  validateArray(args, 'args');
-  validateBoolean(strict, 'strict');
-  validateBoolean(allowPositionals, 'allowPositionals');
-  validateBoolean(returnTokens, 'tokens');
-  validateObject(options, 'options');
+/**
+ * Validate the option configs, from parseArgs({ options }) or from a command.
+ *
+ * @param {object} options - option configs
+ * @param {string} name - property name for error messages e.g. 'options'
+ */
+function validateOptionsConfig(options, name) {
+  validateObject(options, name);
   ArrayPrototypeForEach(
     ObjectEntries(options),
     ({ 0: longOption, 1: optionConfig }) => {
-      validateObject(optionConfig, `options.${longOption}`);
+      validateObject(optionConfig, `${name}.${longOption}`);
 
       // type is required
       const optionType = objectGetOwn(optionConfig, 'type');
-      validateUnion(optionType, `options.${longOption}.type`, ['string', 'boolean']);
+      validateUnion(optionType, `${name}.${longOption}.type`, ['string', 'boolean', 'number', 'bigint', 'count']);
+      const isNumeric = optionType === 'number' || optionType === 'bigint';
 
       if (ObjectHasOwn(optionConfig, 'short')) {
         const shortOption = optionConfig.short;
-        validateString(shortOption, `options.${longOption}.short`);
+        validateString(shortOption, `${name}.${longOption}.short`);
         if (shortOption.length !== 1) {
           throw new ERR_INVALID_ARG_VALUE(
-            `options.${longOption}.short`,
+            `${name}.${longOption}.short`,
             shortOption,
             'must be a single character'
           );
         }
       }
 
+      if (ObjectHasOwn(optionConfig, 'aliases')) {
+        validateStringArray(optionConfig.aliases,
+                            `${name}.${longOption}.aliases`);
+      }
+
+      if (ObjectHasOwn(optionConfig, 'shortAliases')) {
+        const shortAliases = optionConfig.shortAliases;
+        validateStringArray(shortAliases, `${name}.${longOption}.shortAliases`);
+        ArrayPrototypeForEach(shortAliases, (shortAlias) => {
+          if (shortAlias.length !== 1) {
+            throw new ERR_INVALID_ARG_VALUE(
+              `${name}.${longOption}.shortAliases`,
+              shortAlias,
+              'must only contain single characters'
+            );
+          }
+        });
+      }
+
       const multipleOption = objectGetOwn(optionConfig, 'multiple');
       if (ObjectHasOwn(optionConfig, 'multiple')) {
-        validateBoolean(multipleOption, `options.${longOption}.multiple`);
+        validateBoolean(multipleOption, `${name}.${longOption}.multiple`);
+        if (multipleOption && optionType === 'count') {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.multiple`,
+            multipleOption,
+            'is not supported for count options'
+          );
+        }
+      }
+
+      if (ObjectHasOwn(optionConfig, 'negatable')) {
+        const negatableOption = optionConfig.negatable;
+        validateBoolean(negatableOption, `${name}.${longOption}.negatable`);
+        if (negatableOption && optionType !== 'boolean' &&
+            optionType !== 'count') {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.negatable`,
+            negatableOption,
+            'is only supported for boolean and count options'
+          );
+        }
+      }
+
+      if (ObjectHasOwn(optionConfig, 'preset')) {
+        const presetValue = optionConfig.preset;
+        validateString(presetValue, `${name}.${longOption}.preset`);
+        if (!optionTakesValue(longOption, options)) {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.preset`,
+            presetValue,
+            'is only supported for options which take a value'
+          );
+        }
+      }
+
+      const choicesOption = objectGetOwn(optionConfig, 'choices');
+      if (ObjectHasOwn(optionConfig, 'choices')) {
+        validateStringArray(choicesOption, `${name}.${longOption}.choices`);
+        if (optionType !== 'string') {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.choices`,
+            choicesOption,
+            'is only supported for string options'
+          );
+        }
+        const presetValue = objectGetOwn(optionConfig, 'preset');
+        if (presetValue !== undefined &&
+            !ArrayPrototypeIncludes(choicesOption, presetValue)) {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.preset`,
+            presetValue,
+            `must be one of ${formatChoices(choicesOption)}`
+          );
+        }
+      }
+
+      if (ObjectHasOwn(optionConfig, 'integer')) {
+        const integerOption = optionConfig.integer;
+        validateBoolean(integerOption, `${name}.${longOption}.integer`);
+        if (integerOption && optionType !== 'number') {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.integer`,
+            integerOption,
+            'is only supported for number options'
+          );
+        }
+      }
+
+      ArrayPrototypeForEach(['radixPrefixes', 'min', 'max'], (property) => {
+        if (!ObjectHasOwn(optionConfig, property)) return;
+        const propertyValue = optionConfig[property];
+        if (!isNumeric) {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.${property}`,
+            propertyValue,
+            'is only supported for number and bigint options'
+          );
+        }
+        if (property === 'radixPrefixes') {
+          validateBoolean(propertyValue, `${name}.${longOption}.${property}`);
+        } else if (optionType === 'bigint') {
+          validateBigInt(propertyValue, `${name}.${longOption}.${property}`);
+        } else {
+          validateNumber(propertyValue, `${name}.${longOption}.${property}`);
+        }
+      });
+
+      if (isNumeric && ObjectHasOwn(optionConfig, 'preset')) {
+        // Checked like a value from the args, as the preset is a string.
+        const presetValue = optionConfig.preset;
+        const presetNumber = parseNumericValue(presetValue, optionConfig);
+        const min = objectGetOwn(optionConfig, 'min');
+        const max = objectGetOwn(optionConfig, 'max');
+        let reason;
+        if (presetNumber === undefined) {
+          reason = optionType === 'bigint' || objectGetOwn(optionConfig, 'integer') ?
+            'must be an integer' : 'must be a number';
+        } else if (min !== undefined && presetNumber < min) {
+          reason = `must be greater than or equal to ${min}`;
+        } else if (max !== undefined && presetNumber > max) {
+          reason = `must be less than or equal to ${max}`;
+        }
+        if (reason !== undefined) {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.preset`, presetValue, reason);
+        }
+      }
+
+      ArrayPrototypeForEach(['description', 'valueLabel', 'group', 'env'], (property) => {
+        if (ObjectHasOwn(optionConfig, property)) {
+          validateString(optionConfig[property],
+                         `${name}.${longOption}.${property}`);
+        }
+      });
+
+      if (ObjectHasOwn(optionConfig, 'hidden')) {
+        validateBoolean(optionConfig.hidden, `${name}.${longOption}.hidden`);
+      }
+
+      if (ObjectHasOwn(optionConfig, 'parse')) {
+        validateFunction(optionConfig.parse, `${name}.${longOption}.parse`);
+        if (optionType === 'count') {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.parse`,
+            optionConfig.parse,
+            'is not supported for count options'
+          );
+        }
+      }
+
+      if (ObjectHasOwn(optionConfig, 'complete')) {
+        validateFunction(optionConfig.complete,
+                         `${name}.${longOption}.complete`);
+      }
+
+      if (ObjectHasOwn(optionConfig, 'parseDefault')) {
+        validateBoolean(optionConfig.parseDefault,
+                        `${name}.${longOption}.parseDefault`);
       }
 
       const defaultValue = objectGetOwn(optionConfig, 'default');
+
+      if (ObjectHasOwn(optionConfig, 'required')) {
+        const requiredOption = optionConfig.required;
+        validateBoolean(requiredOption, `${name}.${longOption}.required`);
+        if (requiredOption && defaultValue !== undefined) {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.required`,
+            requiredOption,
+            'cannot be used with a default value'
+          );
+        }
+      }
+
       if (defaultValue !== undefined) {
-        let validator;
-        switch (optionType) {
-          case 'string':
-            validator = multipleOption ? validateStringArray : validateString;
-            break;
-
-          case 'boolean':
-            validator = multipleOption ? validateBooleanArray : validateBoolean;
-            break;
+        validateOptionValue(defaultValue, `${name}.${longOption}.default`,
+                            optionConfig);
+      }
+    }
+  );
+  validateAliasesConfig(options, name);
+  validateConstraintsConfig(options, name);
+}
+
+/**
+ * Validate that the aliases of the options do not collide with the names or
+ * aliases of other options, so each name used in args finds one option.
+ *
+ * @param {object} options - option configs, already validated
+ * @param {string} name - property name for error messages e.g. 'options'
+ */
+function validateAliasesConfig(options, name) {
+  const longNames = { __proto__: null };
+  const shortNames = { __proto__: null };
+  ArrayPrototypeForEach(ObjectKeys(options), (longOption) => {
+    longNames[longOption] = longOption;
+    const shortOption = optionsGetOwn(options, longOption, 'short');
+    if (shortOption !== undefined) shortNames[shortOption] = longOption;
+  });
+
+  ArrayPrototypeForEach(
+    ObjectEntries(options),
+    ({ 0: longOption, 1: optionConfig }) => {
+      const aliases = objectGetOwn(optionConfig, 'aliases') ?? [];
+      ArrayPrototypeForEach(aliases, (alias) => {
+        const other = longNames[alias];
+        if (other !== undefined) {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.aliases`,
+            alias,
+            `must not be the name or an alias of option '${other}'`
+          );
         }
-        validator(defaultValue, `options.${longOption}.default`);
+        longNames[alias] = longOption;
+      });
+      const shortAliases = objectGetOwn(optionConfig, 'shortAliases') ?? [];
+      ArrayPrototypeForEach(shortAliases, (shortAlias) => {
+        const other = shortNames[shortAlias];
+        if (other !== undefined) {
+          throw new ERR_INVALID_ARG_VALUE(
+            `${name}.${longOption}.shortAliases`,
+            shortAlias,
+            `must not be the short option or a short alias of option '${other}'`
+          );
+        }
+        shortNames[shortAlias] = longOption;
+      });
+    }
+  );
+}
+
+/**
+ * Validate the `conflicts`, `requires`, and `implies` of the options, which
+ * must name other options in the same option configs.
+ *
+ * @param {object} options - option configs, already validated
+ * @param {string} name - property name for error messages e.g. 'options'
+ */
+function validateConstraintsConfig(options, name) {
+  const validateOtherOption = (otherOption, longOption, property) => {
+    if (otherOption === longOption || !ObjectHasOwn(options, otherOption)) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `${name}.${longOption}.${property}`,
+        otherOption,
+        'must only contain the names of other options'
+      );
+    }
+  };
+
+  ArrayPrototypeForEach(
+    ObjectEntries(options),
+    ({ 0: longOption, 1: optionConfig }) => {
+      ArrayPrototypeForEach(['conflicts', 'requires'], (property) => {
+        if (ObjectHasOwn(optionConfig, property)) {
+          const otherOptions = optionConfig[property];
+          validateStringArray(otherOptions, `${name}.${longOption}.${property}`);
+          ArrayPrototypeForEach(otherOptions, (otherOption) => {
+            validateOtherOption(otherOption, longOption, property);
+          });
+        }
+      });
+
+      if (ObjectHasOwn(optionConfig, 'implies')) {
+        const implies = optionConfig.implies;
+        validateObject(implies, `${name}.${longOption}.implies`);
+        ArrayPrototypeForEach(ObjectEntries(implies), ({ 0: otherOption,
+                                                         1: impliedValue }) => {
+          validateOtherOption(otherOption, longOption, 'implies');
+          validateOptionValue(impliedValue,
+                              `${name}.${longOption}.implies.${otherOption}`,
+                              options[otherOption]);
+        });
       }
     }
   );
+}
 
-  // Phase 1: identify tokens
-  const tokens = argsToTokens(args, options);
+/**
+ * Validate the positional definitions, from parseArgs({ positionals }) or
+ * from a command. Only the last positional may be `multiple`, and a required
+ * positional can not follow an optional positional.
+ *
+ * @param {object[]} positionals - positional definitions
+ * @param {string} name - property name for error messages e.g. 'positionals'
+ */
+function validatePositionalsConfig(positionals, name) {
+  validateArray(positionals, name);
+  const names = { __proto__: null };
+  let optionalName;
+  ArrayPrototypeForEach(positionals, (definition, i) => {
+    const definitionName = `${name}[${i}]`;
+    validateObject(definition, definitionName);
+    const positionalName = objectGetOwn(definition, 'name');
+    validateString(positionalName, `${definitionName}.name`);
+    if (names[positionalName] !== undefined) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `${definitionName}.name`,
+        positionalName,
+        `must not be the name of ${name}[${names[positionalName]}]`
+      );
+    }
+    names[positionalName] = i;
+    if (ObjectHasOwn(definition, 'type')) {
+      validateUnion(definition.type, `${definitionName}.type`, ['string', 'number', 'bigint']);
+    }
+    ArrayPrototypeForEach(['required', 'multiple'], (property) => {
+      if (ObjectHasOwn(definition, property)) {
+        validateBoolean(definition[property], `${definitionName}.${property}`);
+      }
+    });
+    if (ObjectHasOwn(definition, 'parse')) {
+      validateFunction(definition.parse, `${definitionName}.parse`);
+    }
+
+    if (definition.multiple && i !== positionals.length - 1) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `${definitionName}.multiple`,
+        definition.multiple,
+        'is only supported for the last positional'
+      );
+    }
+    if (definition.required && optionalName !== undefined) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `${definitionName}.required`,
+        definition.required,
+        `can not follow optional positional '${optionalName}'`
+      );
+    }
+    if (!definition.required && optionalName === undefined) {
+      optionalName = definition.name;
+    }
+  });
+}
+
+/**
+ * Find the innermost level in the command path which declares the option.
+ *
+ * @param {object[]} levels - command path levels, from top level down
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @returns {object|undefined}
+ */
+function findLevelForOption(levels, longOption) {
+  for (let i = levels.length - 1; i >= 0; i--) {
+    if (ObjectHasOwn(levels[i].options, longOption)) return levels[i];
+  }
+}
+
+/**
+ * Create the parse state for the top level or a command.
+ *
+ * @param {object} config - from parseArgs(config), or a command config
+ * @param {boolean} strict - from parseArgs({ strict })
+ * @param {object} [parentLevel] - parse state for the parent of a command
+ */
+function createLevel(config, strict, parentLevel) {
+  const options = objectGetOwn(config, 'options') ?? { __proto__: null };
+  return {
+    options,
+    // Including the options of parent commands, for suggestions.
+    availableOptions: parentLevel === undefined ? options :
+      mergeCommandOptions(parentLevel.availableOptions, options),
+    allowAbbreviations: parentLevel === undefined ?
+      objectGetOwn(config, 'allowAbbreviations') ?? false :
+      parentLevel.allowAbbreviations,
+    allowNegative: parentLevel === undefined ?
+      objectGetOwn(config, 'allowNegative') ?? false :
+      parentLevel.allowNegative,
+    allowPositionals: objectGetOwn(config, 'allowPositionals') ?? !strict,
+    positionals: objectGetOwn(config, 'positionals'),
+    positionalTokens: [],
+    commands: objectGetOwn(config, 'commands'),
+    values: { __proto__: null },
+    sources: { __proto__: null },
+    indices: { __proto__: null },
+    negated: { __proto__: null },
+  };
+}
+
+/**
+ * Record where the stored value for an option came from, and for values from
+ * the args, the index of the argument.
+ *
+ * @param {object} level - parse state for the top level or a command
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @param {string} source - 'cli', 'env', or 'default'
+ * @param {number} [index] - index in args, for 'cli'
+ */
+function storeSource(level, longOption, source, index) {
+  if (longOption === '__proto__') {
+    return; // Not stored in values either.
+  }
+
+  level.sources[longOption] = source;
+  if (source === 'cli') {
+    if (level.indices[longOption]) {
+      ArrayPrototypePush(level.indices[longOption], index);
+    } else {
+      level.indices[longOption] = [index];
+    }
+  }
+}
+
+/**
+ * Validate the command configs, from parseArgs({ commands }) or from a
+ * parent command.
+ *
+ * @param {object} commands - command configs
+ * @param {string} name - property name for error messages e.g. 'commands'
+ */
+function validateCommandsConfig(commands, name) {
+  validateObject(commands, name);
+  ArrayPrototypeForEach(
+    ObjectEntries(commands),
+    ({ 0: command, 1: commandConfig }) => {
+      validateObject(commandConfig, `${name}.${command}`);
+      if (ObjectHasOwn(commandConfig, 'options')) {
+        validateOptionsConfig(commandConfig.options,
+                              `${name}.${command}.options`);
+      }
+      if (ObjectHasOwn(commandConfig, 'allowPositionals')) {
+        validateBoolean(commandConfig.allowPositionals,
+                        `${name}.${command}.allowPositionals`);
+      }
+      if (ObjectHasOwn(commandConfig, 'positionals')) {
+        validatePositionalsConfig(commandConfig.positionals,
+                                  `${name}.${command}.positionals`);
+      }
+      if (ObjectHasOwn(commandConfig, 'commands')) {
+        validateCommandsConfig(commandConfig.commands,
+                               `${name}.${command}.commands`);
+      }
+    }
+  );
+}
+
+const parseArgs = (config = kEmptyObject) => {
+  let args = objectGetOwn(config, 'args') ?? getMainArgs();
+  const strict = objectGetOwn(config, 'strict') ?? true;
+  const allowPositionals = objectGetOwn(config, 'allowPositionals') ?? !strict;
+  const returnTokens = objectGetOwn(config, 'tokens') ?? false;
+  const returnSources = objectGetOwn(config, 'sources') ?? false;
+  const allowNegative = objectGetOwn(config, 'allowNegative') ?? false;
+  const allowAbbreviations =
+    objectGetOwn(config, 'allowAbbreviations') ?? false;
+  const options = objectGetOwn(config, 'options') ?? { __proto__: null };
+  const positionals = objectGetOwn(config, 'positionals');
+  const commands = objectGetOwn(config, 'commands');
+  const env = objectGetOwn(config, 'env') ?? process.env;
+  const envPrefix = objectGetOwn(config, 'envPrefix');
+  const posixlyCorrect = objectGetOwn(config, 'posixlyCorrect') ?? false;
+  const stopAt = objectGetOwn(config, 'stopAt') ?? [];
+  let stopAtFirstPositional =
+    objectGetOwn(config, 'stopAtFirstPositional') ?? false;
+  const allowUnknown = objectGetOwn(config, 'allowUnknown') ?? false;
+  const unknownTakesValue = objectGetOwn(config, 'unknownTakesValue') ?? true;
+  const responseFiles = objectGetOwn(config, 'responseFiles') ?? false;
+  const readFile = objectGetOwn(config, 'readFile') ??
+    ((path) => readFileSync(path, 'utf8'));
+  const errorMode = objectGetOwn(config, 'errors') ?? 'throw';
+
+  // Validate input configuration.
+  validateArray(args, 'args');
+  validateBoolean(strict, 'strict');
+  validateBoolean(allowPositionals, 'allowPositionals');
+  validateBoolean(returnTokens, 'tokens');
+  validateBoolean(returnSources, 'sources');
+  validateBoolean(allowNegative, 'allowNegative');
+  validateBoolean(allowAbbreviations, 'allowAbbreviations');
+  validateBoolean(stopAtFirstPositional, 'stopAtFirstPositional');
+  validateStringArray(stopAt, 'stopAt');
+  validateBoolean(posixlyCorrect, 'posixlyCorrect');
+  validateBoolean(allowUnknown, 'allowUnknown');
+  validateBoolean(unknownTakesValue, 'unknownTakesValue');
+  validateBoolean(responseFiles, 'responseFiles');
+  validateFunction(readFile, 'readFile');
+  validateUnion(errorMode, 'errors', ['throw', 'collect']);
+  validateObject(env, 'env');
+  if (envPrefix !== undefined) {
+    validateString(envPrefix, 'envPrefix');
+  }
+  if (posixlyCorrect && objectGetOwn(env, 'POSIXLY_CORRECT') !== undefined) {
+    // Like getopt in GNU libc, options must come before positionals.
+    stopAtFirstPositional = true;
+  }
+  validateOptionsConfig(options, 'options');
+  if (positionals !== undefined) {
+    validatePositionalsConfig(positionals, 'positionals');
+  }
+  if (commands !== undefined) {
+    validateCommandsConfig(commands, 'commands');
+  }
+
+  // In collect mode usage errors are returned in `errors` rather than
+  // thrown, and parsing carries on to store best-effort values.
+  const collectErrors = errorMode === 'collect';
+
+  // Phase 1: identify tokens, after replacing response files with their args
+  // Response files which can not be expanded are skipped in collect mode.
+  let origins;
+  const responseFileErrors = [];
+  if (responseFiles) {
+    const onError = collectErrors ?
+      (error) => ArrayPrototypePush(responseFileErrors, error) : undefined;
+    ({ args, origins } = expandResponseFiles(args, readFile, onError));
+  }
+  const tokens = argsToTokens(args, options, {
+    allowNegative, allowAbbreviations, commands, stopAtFirstPositional, stopAt,
+    allowUnknown, unknownTakesValue,
+  });
+  if (origins !== undefined) {
+    ArrayPrototypeForEach(tokens, (token) => {
+      const origin = origins[token.index];
+      if (origin !== undefined) {
+        token.file = origin.file;
+        token.line = origin.line;
+      }
+    });
+  }
 
   // Phase 2: process tokens into parsed option values and positionals
+  // The command path starts with the top level, and each command used adds
+  // a level with its own options, values, and positional and command config.
+  // These are also passed to the strict-mode checks.
+  const topLevel = createLevel(config, strict);
+  const levels = [topLevel];
+  let level = topLevel;
   const result = {
-    values: { __proto__: null },
+    values: topLevel.values,
     positionals: [],
   };
+  if (commands !== undefined) {
+    result.commands = [];
+    result.commandValues = [];
+  }
+  if (returnSources) {
+    result.sources = topLevel.sources;
+    result.indices = topLevel.indices;
+    if (commands !== undefined) {
+      result.commandSources = [];
+      result.commandIndices = [];
+    }
+  }
+  if (allowUnknown) {
+    result.unknown = [];
+  }
   if (returnTokens) {
     result.tokens = tokens;
   }
+
+  if (collectErrors) {
+    result.errors = [];
+  }
+  const reportError = (error, token) => {
+    if (token?.file !== undefined) {
+      error.message += ` (response file '${token.file}' line ${token.line})`;
+    }
+    if (!collectErrors) throw error;
+    if (token !== undefined) error.token = token;
+    ArrayPrototypePush(result.errors, error);
+  };
+  const runCheck = (check, token) => {
+    try {
+      check();
+      return true;
+    } catch (error) {
+      reportError(error, token);
+      return false;
+    }
+  };
+  ArrayPrototypeForEach(responseFileErrors, (error) => reportError(error));
+
   ArrayPrototypeForEach(tokens, (token) => {
     if (token.kind === 'option') {
-      if (strict) {
-        checkOptionUsage(parseConfig, token);
+      // Options of parent commands are still available after a command,
+      // and are stored with the values for the command which declares them.
+      const declaringLevel = findLevelForOption(levels, token.name);
+      if (allowUnknown && declaringLevel === undefined) {
+        // Not stored or checked, but returned as used in args.
+        token.known = false;
+        ArrayPrototypePushApply(result.unknown, getUnknownArgs(token));
+        return;
+      }
+      const optionLevel = declaringLevel ?? level;
+      const valid = !strict || runCheck(() => {
+        checkOptionUsage(optionLevel, token);
         checkOptionLikeValue(token);
+      }, token);
+      const stored = runCheck(() => {
+        storeOption(token, optionLevel.options, optionLevel.values, valid);
+      }, token);
+      if (!stored) return;
+      storeSource(optionLevel, token.name, 'cli', token.index);
+      optionLevel.negated[token.name] = token.negated === true;
+    } else if (token.kind === 'command') {
+      level = createLevel(
+        objectGetOwn(level.commands, token.name), strict, level);
+      ArrayPrototypePush(levels, level);
+      ArrayPrototypePush(result.commands, token.name);
+      ArrayPrototypePush(result.commandValues, level.values);
+      if (returnSources) {
+        ArrayPrototypePush(result.commandSources, level.sources);
+        ArrayPrototypePush(result.commandIndices, level.indices);
       }
-      storeOption(token.name, token.value, options, result.values);
     } else if (token.kind === 'positional') {
-      if (!allowPositionals) {
-        throw new ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL(token.value);
+      let reported = false;
+      if (level.commands !== undefined) {
+        if (strict) {
+          reportError(new ERR_PARSE_ARGS_UNKNOWN_COMMAND(
+            token.value, ObjectKeys(level.commands)), token);
+          reported = true;
+        }
+        // Like argsToTokens, stop looking for commands.
+        level.commands = undefined;
+      }
+      if (level.positionals !== undefined) {
+        // Checked against the positional definitions after all the tokens.
+        ArrayPrototypePush(level.positionalTokens, token);
+      } else if (!level.allowPositionals && !reported) {
+        reportError(
+          new ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL(token.value), token);
       }
       ArrayPrototypePush(result.positionals, token.value);
+    } else if (token.kind === 'option-terminator' ||
+               token.kind === 'option-stop') {
+      // A command can not follow '--', or where option parsing stopped.
+      level.commands = undefined;
+    }
+  });
+
+  // The positionals all follow the last command used, so are stored as the
+  // named args of the last level.
+  if (level.positionals !== undefined) {
+    const { positionals: definitions, positionalTokens } = level;
+    if (strict) {
+      runCheck(() => checkPositionalCount(definitions, positionalTokens),
+               positionalTokens[definitions.length]);
     }
+    result.args = { __proto__: null };
+    ArrayPrototypeForEach(definitions, (definition, i) => {
+      const tokens = objectGetOwn(definition, 'multiple') ?
+        ArrayPrototypeSlice(positionalTokens, i) :
+        ArrayPrototypeSlice(positionalTokens, i, i + 1);
+      const values = [];
+      ArrayPrototypeForEach(tokens, (token) => {
+        runCheck(() => {
+          ArrayPrototypePush(values,
+                             parsePositionalValue(definition, token, strict));
+        }, token);
+      });
+      if (values.length === 0) return;
+      result.args[definition.name] =
+        objectGetOwn(definition, 'multiple') ? values : values[0];
+    });
+  }
+
+  // Phase 3: fill in values implied by options used in args
+  ArrayPrototypeForEach(levels, storeImpliedOptions);
+
+  // Phase 4: fill in values from environment variables for missing args
+  ArrayPrototypeForEach(levels, (level) => {
+    const { options, values } = level;
+    const envTokens = envToTokens(options, values, env, envPrefix);
+    ArrayPrototypeForEach(envTokens, (token) => {
+      const valid = !strict ||
+        runCheck(() => checkEnvUsage(options, token), token);
+      const stored = runCheck(
+        () => storeOption(token, options, values, valid), token);
+      if (stored) {
+        storeSource(level, token.name, 'env');
+      }
+    });
+  });
+
+  // Phase 5: fill in default values for missing args
+  ArrayPrototypeForEach(levels, (level) => {
+    const { options, values } = level;
+    ArrayPrototypeForEach(ObjectEntries(options), ({ 0: longOption,
+                                                     1: optionConfig }) => {
+      const mustSetDefault = useDefaultValueOption(longOption,
+                                                   optionConfig,
+                                                   values);
+      if (mustSetDefault) {
+        let defaultValue = objectGetOwn(optionConfig, 'default');
+        const parsed = runCheck(() => {
+          if (objectGetOwn(optionConfig, 'parseDefault')) {
+            defaultValue = objectGetOwn(optionConfig, 'multiple') ?
+              ArrayPrototypeMap(defaultValue, (value) =>
+                parseOptionValue(longOption, value, options, undefined)) :
+              parseOptionValue(longOption, defaultValue, options, undefined);
+          }
+        });
+        if (!parsed) return;
+        storeDefaultOption(longOption, defaultValue, values);
+        storeSource(level, longOption, 'default');
+      }
+    });
   });
 
-  // Phase 3: fill in default values for missing args
+  // Phase 6: check required options were supplied, and the constraints
+  // between options used in args
+  if (strict) {
+    ArrayPrototypeForEach(levels, (level) => {
+      runCheck(() => checkRequiredOptions(level, level.values));
+      ArrayPrototypeForEach(ObjectKeys(level.options), (longOption) => {
+        runCheck(() => checkOptionConstraints(level, longOption));
+      });
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Find the candidate values for an option, from the complete callback of
+ * the option if supplied, or otherwise from the choices.
+ *
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {string} prefix - the value typed so far
+ * @returns {string[]}
+ */
+function completeOptionValue(longOption, options, prefix) {
+  const completeValue = optionsGetOwn(options, longOption, 'complete');
+  if (completeValue !== undefined) {
+    const candidates = completeValue(prefix);
+    validateStringArray(candidates, `options.${longOption}.complete()`);
+    return candidates;
+  }
+  const choices = optionsGetOwn(options, longOption, 'choices') ?? [];
+  return ArrayPrototypeFilter(
+    ArrayPrototypeMap(choices, (choice) => `${choice}`),
+    (choice) => StringPrototypeStartsWith(choice, prefix)
+  );
+}
+
+/**
+ * Find the option names starting with the prefix, leaving out hidden options.
+ *
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {string} prefix - the option typed so far e.g. '--f'
+ * @param {boolean} allowNegative - from parseArgs({ allowNegative })
+ * @returns {string[]}
+ */
+function completeOptionName(options, prefix, allowNegative) {
+  const names = [];
   ArrayPrototypeForEach(ObjectEntries(options), ({ 0: longOption,
                                                    1: optionConfig }) => {
-    const mustSetDefault = useDefaultValueOption(longOption,
-                                                 optionConfig,
-                                                 result.values);
-    if (mustSetDefault) {
-      storeDefaultOption(longOption,
-                         objectGetOwn(optionConfig, 'default'),
-                         result.values);
+    if (objectGetOwn(optionConfig, 'hidden')) return;
+    ArrayPrototypePush(names, `--${longOption}`);
+    const type = objectGetOwn(optionConfig, 'type');
+    if ((type === 'boolean' || type === 'count') &&
+        (objectGetOwn(optionConfig, 'negatable') ?? allowNegative)) {
+      ArrayPrototypePush(names, `--no-${longOption}`);
+    }
+    const short = objectGetOwn(optionConfig, 'short');
+    if (short !== undefined) {
+      ArrayPrototypePush(names, `-${short}`);
     }
   });
+  return ArrayPrototypeFilter(
+    names, (name) => StringPrototypeStartsWith(name, prefix));
+}
+
+/**
+ * Find the completion candidates for the word being typed, given the args
+ * before it. The args are processed like parseArgs to work out whether the
+ * word is an option value, an option name, a command, or a positional.
+ *
+ * @param {object} config - from config passed to parseArgs
+ * @param {string[]} argsSoFar - the args before the word being completed
+ * @param {string} currentWord - the word being completed, may be empty
+ * @returns {string[]}
+ */
+const complete = (config, argsSoFar, currentWord) => {
+  validateObject(config, 'config');
+  validateStringArray(argsSoFar, 'argsSoFar');
+  validateString(currentWord, 'currentWord');
+  const allowNegative = objectGetOwn(config, 'allowNegative') ?? false;
+  const allowAbbreviations =
+    objectGetOwn(config, 'allowAbbreviations') ?? false;
+  let options = objectGetOwn(config, 'options') ?? { __proto__: null };
+  let commands = objectGetOwn(config, 'commands');
+  const stopAtFirstPositional =
+    objectGetOwn(config, 'stopAtFirstPositional') ?? false;
+  const stopAt = objectGetOwn(config, 'stopAt') ?? [];
+  validateBoolean(allowNegative, 'allowNegative');
+  validateBoolean(allowAbbreviations, 'allowAbbreviations');
+  validateBoolean(stopAtFirstPositional, 'stopAtFirstPositional');
+  validateStringArray(stopAt, 'stopAt');
+  validateOptionsConfig(options, 'options');
+  if (commands !== undefined) {
+    validateCommandsConfig(commands, 'commands');
+  }
 
+  const tokens = argsToTokens(argsSoFar, options, {
+    allowNegative, allowAbbreviations, commands, stopAtFirstPositional, stopAt,
+  });
 
-  return result;
+  // Follow the commands to find the options and commands available for the
+  // current word, like parseArgs.
+  let afterTerminator = false;
+  ArrayPrototypeForEach(tokens, (token) => {
+    if (token.kind === 'command') {
+      const commandConfig = objectGetOwn(commands, token.name);
+      options = mergeCommandOptions(
+        options, objectGetOwn(commandConfig, 'options'));
+      commands = objectGetOwn(commandConfig, 'commands');
+    } else if (token.kind === 'positional') {
+      commands = undefined;
+    } else if (token.kind === 'option-terminator' ||
+               token.kind === 'option-stop') {
+      commands = undefined;
+      afterTerminator = true;
+    }
+  });
+
+  // Option value in separate argument, e.g. '--foo', 'ba'
+  const lastToken = tokens[tokens.length - 1];
+  if (lastToken?.kind === 'option' &&
+      lastToken.value === undefined &&
+      !lastToken.negated &&
+      optionTakesValue(lastToken.name, options)) {
+    return completeOptionValue(lastToken.name, options, currentWord);
+  }
+
+  if (afterTerminator) {
+    return [];
+  }
+
+  // Option value in same argument, e.g. '--foo=ba'
+  if (isLongOptionAndValue(currentWord)) {
+    const equalIndex = StringPrototypeIndexOf(currentWord, '=');
+    const typedOption = StringPrototypeSlice(currentWord, 2, equalIndex);
+    const longOption = findLongOption(typedOption, options, allowAbbreviations);
+    if (!optionTakesValue(longOption, options)) {
+      return [];
+    }
+    const prefix = StringPrototypeSlice(currentWord, equalIndex + 1);
+    return ArrayPrototypeMap(
+      completeOptionValue(longOption, options, prefix),
+      (value) => `--${typedOption}=${value}`
+    );
+  }
+
+  if (StringPrototypeStartsWith(currentWord, '-')) {
+    return completeOptionName(options, currentWord, allowNegative);
+  }
+
+  if (commands !== undefined) {
+    return ArrayPrototypeFilter(
+      ObjectKeys(commands),
+      (command) => StringPrototypeStartsWith(command, currentWord)
+    );
+  }
+
+  // Positionals have no known candidates.
+  return [];
+};
+
+/**
+ * Convert the value of an option to args, like `['--foo', 'bar']`.
+ *
+ * @param {string} longOption - long option name e.g. 'foo'
+ * @param {*} value - option value, already validated for the option type
+ * @param {object} optionConfig - the option configuration properties
+ * @param {string} style - 'long' or 'short', from stringifyArgs config
+ * @param {boolean} allowNegative - from stringifyArgs config
+ * @returns {string[]}
+ */
+function optionToArgs(longOption, value, optionConfig, style, allowNegative) {
+  const type = objectGetOwn(optionConfig, 'type');
+  const short = objectGetOwn(optionConfig, 'short');
+  const name = style === 'short' && short !== undefined ?
+    `-${short}` : `--${longOption}`;
+
+  // A false boolean or zero count can only be used in args in negated form,
+  // or left out if it matches the default.
+  const unsetToArgs = (unsetValue) => {
+    if (objectGetOwn(optionConfig, 'negatable') ?? allowNegative) {
+      return [`--no-${longOption}`];
+    }
+    if (objectGetOwn(optionConfig, 'default') === unsetValue) {
+      return [];
+    }
+    throw new ERR_INVALID_ARG_VALUE(
+      `values.${longOption}`,
+      unsetValue,
+      'can not be used in args as the option is not negatable'
+    );
+  };
+
+  const args = [];
+  if (type === 'count') {
+    if (value === 0) return unsetToArgs(value);
+    for (let i = 0; i < value; i++) {
+      ArrayPrototypePush(args, name);
+    }
+    return args;
+  }
+
+  const elements = objectGetOwn(optionConfig, 'multiple') ? value : [value];
+  ArrayPrototypeForEach(elements, (element) => {
+    if (type === 'boolean') {
+      ArrayPrototypePushApply(args, element ? [name] : unsetToArgs(element));
+      return;
+    }
+    const text = `${element}`;
+    if (objectGetOwn(optionConfig, 'preset') !== undefined ||
+        StringPrototypeStartsWith(text, '-')) {
+      // Value must be in the same argument.
+      ArrayPrototypePush(args, `--${longOption}=${text}`);
+    } else {
+      ArrayPrototypePush(args, name, text);
+    }
+  });
+  return args;
+}
+
+/**
+ * Generate args from option values, which parseArgs turns back into the same
+ * values when using the same options. The options are in the order of the
+ * values, followed by the positionals.
+ *
+ * @param {object} values - option values, like `values` from parseArgs
+ * @param {object} options - option configs, from parseArgs({ options })
+ * @param {object} [stringifyConfig]
+ * @param {string[]} [stringifyConfig.positionals] - positionals to add after
+ *   the options
+ * @param {string} [stringifyConfig.style] - 'long' or 'short' option names
+ * @param {boolean} [stringifyConfig.allowNegative] - from
+ *   parseArgs({ allowNegative })
+ * @param {string[]} [stringifyConfig.pick] - only include these options
+ * @param {string[]} [stringifyConfig.omit] - leave out these options
+ * @returns {string[]}
+ */
+const stringifyArgs = (values, options, stringifyConfig = kEmptyObject) => {
+  validateObject(values, 'values');
+  validateOptionsConfig(options, 'options');
+  validateObject(stringifyConfig, 'stringifyConfig');
+  const positionals = objectGetOwn(stringifyConfig, 'positionals') ?? [];
+  const style = objectGetOwn(stringifyConfig, 'style') ?? 'long';
+  const allowNegative = objectGetOwn(stringifyConfig, 'allowNegative') ?? false;
+  const pick = objectGetOwn(stringifyConfig, 'pick');
+  const omit = objectGetOwn(stringifyConfig, 'omit') ?? [];
+  validateStringArray(positionals, 'positionals');
+  validateUnion(style, 'style', ['long', 'short']);
+  validateBoolean(allowNegative, 'allowNegative');
+  if (pick !== undefined) {
+    validateStringArray(pick, 'pick');
+  }
+  validateStringArray(omit, 'omit');
+
+  const args = [];
+  ArrayPrototypeForEach(ObjectKeys(values), (longOption) => {
+    if ((pick !== undefined && !ArrayPrototypeIncludes(pick, longOption)) ||
+        ArrayPrototypeIncludes(omit, longOption)) {
+      return;
+    }
+    const value = values[longOption];
+    if (value === undefined) return;
+    if (!ObjectHasOwn(options, longOption)) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `values.${longOption}`,
+        value,
+        'is not a configured option'
+      );
+    }
+    const optionConfig = options[longOption];
+    validateOptionValue(value, `values.${longOption}`, optionConfig);
+    ArrayPrototypePushApply(
+      args,
+      optionToArgs(longOption, value, optionConfig, style, allowNegative));
+  });
+
+  if (ArrayPrototypeSome(positionals, (positional) =>
+    StringPrototypeStartsWith(positional, '-'))) {
+    // Positionals which look like options must follow '--'.
+    ArrayPrototypePush(args, '--');
+  }
+  ArrayPrototypePushApply(args, positionals);
+  return args;
 };
 
 module.exports = {
+  complete,
+  formatHelp,
+  formatUsage,
+  generateCompletion,
   parseArgs,
+  stringifyArgs,
 };
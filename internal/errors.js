@@ -14,18 +14,110 @@ class ERR_INVALID_ARG_VALUE extends TypeError {
   }
 }
 
+class ERR_OUT_OF_RANGE extends RangeError {
+  constructor(name, range, received) {
+    super(`The value of "${name}" is out of range. It must be ${range}. Received ${received}`);
+    this.code = 'ERR_OUT_OF_RANGE';
+  }
+}
+
+class ERR_PARSE_ARGS_AMBIGUOUS_OPTION extends Error {
+  constructor(option, candidates) {
+    const quotedCandidates = candidates.map((candidate) => `'${candidate}'`).join(', ');
+    super(`Option '${option}' is ambiguous. Possible options are: ${quotedCandidates}`);
+    this.code = 'ERR_PARSE_ARGS_AMBIGUOUS_OPTION';
+    this.candidates = candidates;
+  }
+}
+
+class ERR_PARSE_ARGS_CONFLICTING_OPTIONS extends Error {
+  constructor(option, otherOption) {
+    super(`Option '${option}' cannot be used with option '${otherOption}'`);
+    this.code = 'ERR_PARSE_ARGS_CONFLICTING_OPTIONS';
+    this.options = [option, otherOption];
+  }
+}
+
 class ERR_PARSE_ARGS_INVALID_OPTION_VALUE extends Error {
-  constructor(message) {
+  constructor(message, options) {
     super(message);
     this.code = 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE';
+    // Set explicitly, as Error only supports cause from Node.js 16.9.
+    if (options !== undefined && 'cause' in options) {
+      this.cause = options.cause;
+    }
+    if (options?.choices !== undefined) {
+      this.choices = options.choices;
+    }
+  }
+}
+
+class ERR_PARSE_ARGS_INVALID_RESPONSE_FILE extends Error {
+  constructor(message, options) {
+    super(message);
+    this.code = 'ERR_PARSE_ARGS_INVALID_RESPONSE_FILE';
+    this.file = options.file;
+    // Set explicitly, as Error only supports cause from Node.js 16.9.
+    if ('cause' in options) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+class ERR_PARSE_ARGS_MISSING_DEPENDENCY extends Error {
+  constructor(option, otherOption) {
+    super(`Option '${option}' requires option '${otherOption}'`);
+    this.code = 'ERR_PARSE_ARGS_MISSING_DEPENDENCY';
+    this.options = [option, otherOption];
+  }
+}
+
+class ERR_PARSE_ARGS_MISSING_OPTION extends Error {
+  constructor(options) {
+    const quotedOptions = options.map((option) => `'${option}'`).join(', ');
+    super(`Missing required option${options.length > 1 ? 's' : ''} ${quotedOptions}`);
+    this.code = 'ERR_PARSE_ARGS_MISSING_OPTION';
+    this.options = options;
+  }
+}
+
+class ERR_PARSE_ARGS_UNKNOWN_COMMAND extends Error {
+  constructor(command, commands) {
+    const available = commands.map((name) => `'${name}'`).join(', ');
+    super(`Unknown command '${command}'. Available commands are: ${available}`);
+    this.code = 'ERR_PARSE_ARGS_UNKNOWN_COMMAND';
   }
 }
 
 class ERR_PARSE_ARGS_UNKNOWN_OPTION extends Error {
-  constructor(option, allowPositionals) {
-    const suggestDashDash = allowPositionals ? `. To specify a positional argument starting with a '-', place it at the end of the command after '--', as in '-- ${JSON.stringify(option)}` : '';
-    super(`Unknown option '${option}'${suggestDashDash}`);
+  constructor(option, allowPositionals, suggestions = []) {
+    let hint = '';
+    if (suggestions.length > 0) {
+      const quotedSuggestions = suggestions.map((suggestion) => `'${suggestion}'`).join(', ');
+      hint = `. Did you mean ${suggestions.length > 1 ? 'one of ' : ''}${quotedSuggestions}?`;
+    } else if (allowPositionals) {
+      hint = `. To specify a positional argument starting with a '-', place it at the end of the command after '--', as in '-- ${JSON.stringify(option)}`;
+    }
+    super(`Unknown option '${option}'${hint}`);
     this.code = 'ERR_PARSE_ARGS_UNKNOWN_OPTION';
+    this.suggestions = suggestions;
+  }
+}
+
+class ERR_PARSE_ARGS_TOO_FEW_POSITIONALS extends Error {
+  constructor(positionals) {
+    const quotedPositionals = positionals.map((positional) => `'${positional}'`).join(', ');
+    super(`Missing required positional argument${positionals.length > 1 ? 's' : ''} ${quotedPositionals}`);
+    this.code = 'ERR_PARSE_ARGS_TOO_FEW_POSITIONALS';
+    this.positionals = positionals;
+  }
+}
+
+class ERR_PARSE_ARGS_TOO_MANY_POSITIONALS extends Error {
+  constructor(positional, maxCount) {
+    super(`Unexpected argument '${positional}'. This command takes at most ${maxCount} positional argument${maxCount === 1 ? '' : 's'}`);
+    this.code = 'ERR_PARSE_ARGS_TOO_MANY_POSITIONALS';
+    this.maxCount = maxCount;
   }
 }
 
@@ -40,7 +132,16 @@ module.exports = {
   codes: {
     ERR_INVALID_ARG_TYPE,
     ERR_INVALID_ARG_VALUE,
+    ERR_OUT_OF_RANGE,
+    ERR_PARSE_ARGS_AMBIGUOUS_OPTION,
+    ERR_PARSE_ARGS_CONFLICTING_OPTIONS,
     ERR_PARSE_ARGS_INVALID_OPTION_VALUE,
+    ERR_PARSE_ARGS_INVALID_RESPONSE_FILE,
+    ERR_PARSE_ARGS_MISSING_DEPENDENCY,
+    ERR_PARSE_ARGS_MISSING_OPTION,
+    ERR_PARSE_ARGS_TOO_FEW_POSITIONALS,
+    ERR_PARSE_ARGS_TOO_MANY_POSITIONALS,
+    ERR_PARSE_ARGS_UNKNOWN_COMMAND,
     ERR_PARSE_ARGS_UNKNOWN_OPTION,
     ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL,
   }
@@ -9,11 +9,16 @@ const {
   ArrayIsArray,
   ArrayPrototypeIncludes,
   ArrayPrototypeJoin,
+  NumberIsInteger,
+  NumberIsNaN,
+  NumberMAX_SAFE_INTEGER,
+  NumberMIN_SAFE_INTEGER,
 } = require('./primordials');
 
 const {
   codes: {
-    ERR_INVALID_ARG_TYPE
+    ERR_INVALID_ARG_TYPE,
+    ERR_OUT_OF_RANGE,
   }
 } = require('./errors');
 
@@ -23,6 +28,45 @@ function validateString(value, name) {
   }
 }
 
+function validateInteger(
+  value,
+  name,
+  min = NumberMIN_SAFE_INTEGER,
+  max = NumberMAX_SAFE_INTEGER
+) {
+  if (typeof value !== 'number')
+    throw new ERR_INVALID_ARG_TYPE(name, 'Number', value);
+  if (!NumberIsInteger(value))
+    throw new ERR_OUT_OF_RANGE(name, 'an integer', value);
+  if (value < min || value > max)
+    throw new ERR_OUT_OF_RANGE(name, `>= ${min} && <= ${max}`, value);
+}
+
+function validateNumber(value, name, min = undefined, max) {
+  if (typeof value !== 'number')
+    throw new ERR_INVALID_ARG_TYPE(name, 'Number', value);
+
+  if ((min != null && value < min) || (max != null && value > max) ||
+      ((min != null || max != null) && NumberIsNaN(value))) {
+    throw new ERR_OUT_OF_RANGE(
+      name,
+      `${min != null ? `>= ${min}` : ''}${min != null && max != null ? ' && ' : ''}${max != null ? `<= ${max}` : ''}`,
+      value);
+  }
+}
+
+function validateBigInt(value, name) {
+  if (typeof value !== 'bigint') {
+    throw new ERR_INVALID_ARG_TYPE(name, 'BigInt', value);
+  }
+}
+
+function validateFunction(value, name) {
+  if (typeof value !== 'function') {
+    throw new ERR_INVALID_ARG_TYPE(name, 'Function', value);
+  }
+}
+
 function validateUnion(value, name, union) {
   if (!ArrayPrototypeIncludes(union, value)) {
     throw new ERR_INVALID_ARG_TYPE(name, `('${ArrayPrototypeJoin(union, '|')}')`, value);
@@ -80,6 +124,10 @@ function validateObject(value, name, options) {
 
 module.exports = {
   validateArray,
+  validateBigInt,
+  validateFunction,
+  validateInteger,
+  validateNumber,
   validateObject,
   validateString,
   validateStringArray,
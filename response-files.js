@@ -0,0 +1,192 @@
+'use strict';
+
+const {
+  ArrayPrototypeForEach,
+  ArrayPrototypeIncludes,
+  ArrayPrototypeMap,
+  ArrayPrototypePop,
+  ArrayPrototypePush,
+  StringPrototypeCharAt,
+  StringPrototypeSlice,
+} = require('./internal/primordials');
+
+const {
+  resolve: PathResolve,
+} = require('path');
+
+const {
+  validateString,
+} = require('./internal/validators');
+
+const {
+  codes: {
+    ERR_PARSE_ARGS_INVALID_RESPONSE_FILE,
+  },
+} = require('./internal/errors');
+
+// These routines expand `@file` args into the args listed in the file, for
+// command lines which would otherwise be too long. This happens before the
+// args are turned into tokens.
+
+/**
+ * Whether the character separates args in a response file.
+ *
+ * @param {string} char - single character
+ * @returns {boolean}
+ */
+function isWhitespace(char) {
+  return char === ' ' || char === '\t' || char === '\r' || char === '\n';
+}
+
+/**
+ * Split the contents of a response file into args. Args are separated by
+ * whitespace, and may be quoted with single or double quotes to include
+ * whitespace. Inside double quotes a backslash escapes a double quote or
+ * backslash. A `#` at the start of an arg starts a comment, to the end of the
+ * line.
+ *
+ * @example
+ * splitResponseFile('--foo "a b" # comment\n-x') // returns
+ * // [{ value: '--foo', line: 1 }, { value: 'a b', line: 1 },
+ * //  { value: '-x', line: 2 }]
+ * @param {string} content - contents of the response file
+ * @param {string} file - path of the response file, for error messages
+ * @returns {object[]} args like { value, line }, with line counting from 1
+ */
+function splitResponseFile(content, file) {
+  const words = [];
+  let line = 1;
+  let word;
+  let wordLine;
+  let quote;
+  for (let i = 0; i < content.length; i++) {
+    const char = StringPrototypeCharAt(content, i);
+    if (quote !== undefined) {
+      if (char === quote) {
+        quote = undefined;
+        continue;
+      }
+      const nextChar = StringPrototypeCharAt(content, i + 1);
+      if (quote === '"' && char === '\\' &&
+          (nextChar === '"' || nextChar === '\\')) {
+        word += nextChar;
+        i++;
+        continue;
+      }
+      if (char === '\n') line++;
+      word += char;
+      continue;
+    }
+
+    if (isWhitespace(char)) {
+      if (word !== undefined) {
+        ArrayPrototypePush(words, { value: word, line: wordLine });
+        word = undefined;
+      }
+      if (char === '\n') line++;
+      continue;
+    }
+    if (char === '#' && word === undefined) {
+      // Skip to the end of the line, leaving the newline to be counted.
+      while (i + 1 < content.length &&
+             StringPrototypeCharAt(content, i + 1) !== '\n') {
+        i++;
+      }
+      continue;
+    }
+    if (word === undefined) {
+      word = '';
+      wordLine = line;
+    }
+    if (char === '"' || char === '\'') {
+      quote = char;
+    } else {
+      word += char;
+    }
+  }
+
+  if (quote !== undefined) {
+    throw new ERR_PARSE_ARGS_INVALID_RESPONSE_FILE(
+      `Response file '${file}' line ${wordLine} has an unterminated quote`,
+      { file });
+  }
+  if (word !== undefined) {
+    ArrayPrototypePush(words, { value: word, line: wordLine });
+  }
+  return words;
+}
+
+/**
+ * Expand the `@file` args into the args listed in the file. Response files
+ * may include other response files, but not in a cycle. Args after `--` are
+ * not expanded.
+ *
+ * @param {string[]} args - from parseArgs({ args }) or mainArgs
+ * @param {Function} readFile - returns the contents of the file at the path
+ * @param {Function} [onError] - called with the error for a response file
+ *   which can not be expanded, and the `@file` arg is skipped. If not
+ *   supplied the error is thrown.
+ * @returns {object} like { args, origins }, where origins has the
+ *   { file, line } of each arg from a response file, or undefined
+ */
+function expandResponseFiles(args, readFile, onError) {
+  const expandedArgs = [];
+  const origins = [];
+  const activeFiles = [];
+  let terminated = false;
+
+  const reportError = (error) => {
+    if (onError === undefined) throw error;
+    onError(error);
+  };
+
+  const expand = (words, file) => {
+    ArrayPrototypeForEach(words, ({ value, line }) => {
+      if (!terminated && value.length > 1 &&
+          StringPrototypeCharAt(value, 0) === '@') {
+        const path = StringPrototypeSlice(value, 1);
+        const resolvedPath = PathResolve(path);
+        if (ArrayPrototypeIncludes(activeFiles, resolvedPath)) {
+          reportError(new ERR_PARSE_ARGS_INVALID_RESPONSE_FILE(
+            `Response file '${path}' is included in a cycle`,
+            { file: path }));
+          return;
+        }
+        let content;
+        try {
+          content = readFile(path);
+        } catch (error) {
+          reportError(new ERR_PARSE_ARGS_INVALID_RESPONSE_FILE(
+            `Response file '${path}' could not be read: ${error?.message ?? error}`,
+            { file: path, cause: error }));
+          return;
+        }
+        validateString(content, 'readFile()');
+        let fileWords;
+        try {
+          fileWords = splitResponseFile(content, path);
+        } catch (error) {
+          reportError(error);
+          return;
+        }
+        ArrayPrototypePush(activeFiles, resolvedPath);
+        expand(fileWords, path);
+        ArrayPrototypePop(activeFiles);
+        return;
+      }
+
+      if (value === '--') terminated = true;
+      ArrayPrototypePush(expandedArgs, value);
+      ArrayPrototypePush(origins,
+                         file === undefined ? undefined : { file, line });
+    });
+  };
+  expand(ArrayPrototypeMap(args, (value) => ({ value })), undefined);
+
+  return { args: expandedArgs, origins };
+}
+
+module.exports = {
+  expandResponseFiles,
+  splitResponseFile,
+};
@@ -0,0 +1,95 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  verbose: { type: 'boolean' },
+  version: { type: 'boolean' },
+  output: { type: 'string', short: 'o' },
+};
+
+test('abbreviations: when not allowed then prefix is unknown option', () => {
+  const args = ['--verb'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+  });
+});
+
+test('abbreviations: when unique prefix then resolves to option', () => {
+  const args = ['--verb', '--out', 'a.txt'];
+  const expected = { values: { __proto__: null, verbose: true, output: 'a.txt' }, positionals: [] };
+  const result = parseArgs({ args, options, allowAbbreviations: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('abbreviations: when unique prefix with inline value then resolves to option', () => {
+  const args = ['--o=a.txt'];
+  const expected = { values: { __proto__: null, output: 'a.txt' }, positionals: [] };
+  const result = parseArgs({ args, options, allowAbbreviations: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('abbreviations: when prefix resolved then token has abbreviated rawName and option name', () => {
+  const args = ['--verb', '--out=a.txt'];
+  const expectedTokens = [
+    { kind: 'option', name: 'verbose', rawName: '--verb', index: 0, value: undefined, inlineValue: undefined },
+    { kind: 'option', name: 'output', rawName: '--out', index: 1, value: 'a.txt', inlineValue: true },
+  ];
+  const { tokens } = parseArgs({ args, options, allowAbbreviations: true, tokens: true });
+  assert.deepStrictEqual(tokens, expectedTokens);
+});
+
+test('abbreviations: when exact option name is also a prefix then uses exact option', () => {
+  const args = ['--port', '80'];
+  const portOptions = { port: { type: 'string' }, 'port-range': { type: 'string' } };
+  const expected = { values: { __proto__: null, port: '80' }, positionals: [] };
+  const result = parseArgs({ args, options: portOptions, allowAbbreviations: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('abbreviations: when prefix of alias then resolves to option', () => {
+  const args = ['--di', 'src'];
+  const aliasOptions = { directory: { type: 'string', aliases: ['dir'] }, verbose: { type: 'boolean' } };
+  const expected = { values: { __proto__: null, directory: 'src' }, positionals: [] };
+  const result = parseArgs({ args, options: aliasOptions, allowAbbreviations: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('abbreviations: when prefix matches several options then throws ambiguous option error', () => {
+  const args = ['--ver'];
+  assert.throws(() => {
+    parseArgs({ args, options, allowAbbreviations: true });
+  }, {
+    code: 'ERR_PARSE_ARGS_AMBIGUOUS_OPTION',
+    message: "Option '--ver' is ambiguous. Possible options are: '--verbose', '--version'",
+    candidates: ['--verbose', '--version']
+  });
+});
+
+test('abbreviations: when prefix ambiguous in non-strict mode then stored as used', () => {
+  const args = ['--ver'];
+  const expected = { values: { __proto__: null, ver: true }, positionals: [] };
+  const result = parseArgs({ args, options, allowAbbreviations: true, strict: false });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('abbreviations: when prefix of parent option used after command then resolves', () => {
+  const args = ['build', '--verb', '--tar', 'es2020'];
+  const commands = { build: { options: { target: { type: 'string' } } } };
+  const result = parseArgs({ args, options: { verbose: { type: 'boolean' } }, commands, allowAbbreviations: true });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+  assert.deepStrictEqual(result.commandValues, [{ __proto__: null, target: 'es2020' }]);
+});
+
+test('abbreviations: when allowAbbreviations is not a boolean then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], allowAbbreviations: 'yes' });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
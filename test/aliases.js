@@ -0,0 +1,131 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  directory: { type: 'string', short: 'd', aliases: ['dir', 'd2'], shortAliases: ['D'] },
+  verbose: { type: 'boolean', short: 'v', aliases: ['loud'], shortAliases: ['V'] },
+};
+
+test('aliases: when long alias used then stores value for option', () => {
+  const args = ['--dir', 'a'];
+  const expected = { values: { __proto__: null, directory: 'a' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('aliases: when long alias used with inline value then stores value for option', () => {
+  const args = ['--d2=a'];
+  const expected = { values: { __proto__: null, directory: 'a' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('aliases: when short alias used then stores value for option', () => {
+  const args = ['-D', 'a', '-V'];
+  const expected = { values: { __proto__: null, directory: 'a', verbose: true }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('aliases: when short alias used in group then stores value for option', () => {
+  const args = ['-VDa'];
+  const expected = { values: { __proto__: null, verbose: true, directory: 'a' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('aliases: when short alias used with attached value then stores value for option', () => {
+  const args = ['-Da'];
+  const expected = { values: { __proto__: null, directory: 'a' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('aliases: when aliases used then tokens have name of option and rawName as typed', () => {
+  const args = ['--dir', 'a', '--d2=b', '-D', 'c', '--loud'];
+  const expectedTokens = [
+    { kind: 'option', name: 'directory', rawName: '--dir', index: 0, value: 'a', inlineValue: false },
+    { kind: 'option', name: 'directory', rawName: '--d2', index: 2, value: 'b', inlineValue: true },
+    { kind: 'option', name: 'directory', rawName: '-D', index: 3, value: 'c', inlineValue: false },
+    { kind: 'option', name: 'verbose', rawName: '--loud', index: 5, value: undefined, inlineValue: undefined },
+  ];
+  const { tokens } = parseArgs({ args, options, tokens: true });
+  assert.deepStrictEqual(tokens, expectedTokens);
+});
+
+test('aliases: when alias of negatable option negated then stores false', () => {
+  const args = ['--no-colour'];
+  const negatableOptions = { color: { type: 'boolean', negatable: true, aliases: ['colour'] } };
+  const expected = { values: { __proto__: null, color: false }, positionals: [] };
+  const result = parseArgs({ args, options: negatableOptions });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('aliases: when alias used for string option without value in strict mode then error names option', () => {
+  const args = ['--dir'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '-d, --directory <value>' argument missing"
+  });
+});
+
+test('aliases: when alias collides with option name then throws', () => {
+  const badOptions = {
+    directory: { type: 'string', aliases: ['dir'] },
+    dir: { type: 'string' },
+  };
+  assert.throws(() => {
+    parseArgs({ args: [], options: badOptions });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.directory.aliases must not be the name or an alias of option 'dir'. Received 'dir'"
+  });
+});
+
+test('aliases: when alias collides with alias of other option then throws', () => {
+  const badOptions = {
+    directory: { type: 'string', aliases: ['dir'] },
+    direction: { type: 'string', aliases: ['dir'] },
+  };
+  assert.throws(() => {
+    parseArgs({ args: [], options: badOptions });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.direction.aliases must not be the name or an alias of option 'directory'. Received 'dir'"
+  });
+});
+
+test('aliases: when short alias collides with short of other option then throws', () => {
+  const badOptions = {
+    directory: { type: 'string', shortAliases: ['v'] },
+    verbose: { type: 'boolean', short: 'v' },
+  };
+  assert.throws(() => {
+    parseArgs({ args: [], options: badOptions });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.directory.shortAliases must not be the short option or a short alias of option 'verbose'. Received 'v'"
+  });
+});
+
+test('aliases: when short alias is not a single character then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { directory: { type: 'string', shortAliases: ['dd'] } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE'
+  });
+});
+
+test('aliases: when aliases is not an array of strings then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { directory: { type: 'string', aliases: 'dir' } } });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
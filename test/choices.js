@@ -0,0 +1,122 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { complete, formatHelp, parseArgs } = require('../index.js');
+
+const options = {
+  format: { type: 'string', short: 'f', choices: ['json', 'table'] },
+  target: { type: 'string', multiple: true, choices: ['node', 'browser'] },
+};
+
+test('choices: when value is allowed then stored', () => {
+  const args = ['--format', 'json', '--target=node', '--target', 'browser'];
+  const expected = { values: { __proto__: null, format: 'json', target: ['node', 'browser'] }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('choices: when value is not allowed then throws listing allowed values', () => {
+  const args = ['-f', 'xml'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '-f, --format <value>' argument 'xml' is invalid. Allowed values are: 'json', 'table'",
+    choices: ['json', 'table']
+  });
+});
+
+test('choices: when any value of multiple is not allowed then throws', () => {
+  const args = ['--target=node', '--target=deno'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--target <value>' argument 'deno' is invalid. Allowed values are: 'node', 'browser'"
+  });
+});
+
+test('choices: values are case sensitive', () => {
+  const args = ['--format=JSON'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE'
+  });
+});
+
+test('choices: when strict:false then value is not checked', () => {
+  const args = ['--format', 'xml'];
+  const expected = { values: { __proto__: null, format: 'xml' }, positionals: [] };
+  const result = parseArgs({ args, options, strict: false });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('choices: default is stored', () => {
+  const args = [];
+  const defaultOptions = { format: { type: 'string', choices: ['json', 'table'], default: 'table' } };
+  const expected = { values: { __proto__: null, format: 'table' }, positionals: [] };
+  const result = parseArgs({ args, options: defaultOptions });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('choices: default must be allowed value', () => {
+  const defaultOptions = { format: { type: 'string', choices: ['json', 'table'], default: 'xml' } };
+  assert.throws(() => {
+    parseArgs({ args: [], options: defaultOptions });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.format.default must be one of 'json', 'table'. Received 'xml'"
+  });
+});
+
+test('choices: each element of multiple default must be allowed value', () => {
+  const defaultOptions = { target: { type: 'string', multiple: true, choices: ['node', 'browser'], default: ['node', 'deno'] } };
+  assert.throws(() => {
+    parseArgs({ args: [], options: defaultOptions });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.target\.default must be one of 'node', 'browser'\. Received 'deno'/
+  });
+});
+
+test('choices: preset must be allowed value', () => {
+  const presetOptions = { format: { type: 'string', choices: ['json', 'table'], preset: 'xml' } };
+  assert.throws(() => {
+    parseArgs({ args: [], options: presetOptions });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.format\.preset must be one of 'json', 'table'/
+  });
+});
+
+test('choices: tokens do not include choices, which are read from the config', () => {
+  const args = ['--format', 'json'];
+  const { tokens } = parseArgs({ args, options, tokens: true });
+  assert.deepStrictEqual(tokens, [
+    { kind: 'option', name: 'format', rawName: '--format', index: 0, value: 'json', inlineValue: false },
+  ]);
+  assert.deepStrictEqual(options[tokens[0].name].choices, ['json', 'table']);
+  assert.match(formatHelp({ options }, { width: 80 }), /--format <value>\s+\(choices: "json", "table"\)/);
+  assert.deepStrictEqual(complete({ options }, ['--format'], ''), ['json', 'table']);
+});
+
+test('choices must be a string array', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { format: { type: 'string', choices: 'json' } } });
+  }, /options\.format\.choices must be Array/);
+  assert.throws(() => {
+    parseArgs({ args: [], options: { format: { type: 'string', choices: ['json', 1] } } });
+  }, /options\.format\.choices\[1\] must be String/);
+});
+
+test('choices is only supported for string options', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { color: { type: 'boolean', choices: ['yes'] } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.color\.choices is only supported for string options/
+  });
+});
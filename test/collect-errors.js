@@ -0,0 +1,184 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  port: { type: 'number', short: 'p' },
+  color: { type: 'string', choices: ['always', 'never'] },
+  verbose: { type: 'boolean', short: 'v' },
+};
+
+test('errors: when collect and no errors then returns empty errors', () => {
+  const args = ['-v'];
+  const expected = { values: { __proto__: null, verbose: true }, positionals: [], errors: [] };
+  const result = parseArgs({ args, options, errors: 'collect' });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('errors: when collect then returns all usage errors with token', () => {
+  const args = ['--prot', '80', '--port', 'http', '--color=sometimes'];
+  const result = parseArgs({ args, options, errors: 'collect' });
+  assert.deepStrictEqual(result.errors.map((error) => error.code), [
+    'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL',
+    'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+  ]);
+  assert.deepStrictEqual(result.errors.map((error) => error.token.index), [0, 1, 2, 4]);
+  assert.strictEqual(result.errors[2].message, "Option '-p, --port <value>' argument 'http' is not a number");
+  assert.deepStrictEqual(result.errors[3].choices, ['always', 'never']);
+});
+
+test('errors: when collect then errors are same classes as thrown', () => {
+  const args = ['--nope'];
+  let thrown;
+  try {
+    parseArgs({ args, options });
+  } catch (error) {
+    thrown = error;
+  }
+  const { errors } = parseArgs({ args, options, errors: 'collect' });
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].constructor, thrown.constructor);
+  assert.strictEqual(errors[0].message, thrown.message);
+});
+
+test('errors: when collect then returns best-effort values', () => {
+  const args = ['--nope', '--port', 'http', '-v', 'extra'];
+  const result = parseArgs({ args, options, errors: 'collect' });
+  assert.deepStrictEqual(result.values, { __proto__: null, nope: true, port: 'http', verbose: true });
+  assert.deepStrictEqual(result.positionals, ['extra']);
+});
+
+test('errors: when collect and option value is option-like then collects error', () => {
+  const args = ['--color', '-v'];
+  const result = parseArgs({ args, options, errors: 'collect' });
+  assert.strictEqual(result.errors.length, 1);
+  assert.strictEqual(result.errors[0].code, 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE');
+  assert.strictEqual(result.errors[0].token.rawName, '--color');
+});
+
+test('errors: when collect and required options missing then collects error without token', () => {
+  const args = [];
+  const result = parseArgs({ args, options: { file: { type: 'string', required: true } }, errors: 'collect' });
+  assert.strictEqual(result.errors.length, 1);
+  assert.strictEqual(result.errors[0].code, 'ERR_PARSE_ARGS_MISSING_OPTION');
+  assert.strictEqual(result.errors[0].token, undefined);
+});
+
+test('errors: when collect and constraints broken then collects each error', () => {
+  const args = ['--json', '--table', '--key', 'k'];
+  const constraintOptions = {
+    json: { type: 'boolean', conflicts: ['table'] },
+    table: { type: 'boolean' },
+    key: { type: 'string', requires: ['cert'] },
+    cert: { type: 'string' },
+  };
+  const result = parseArgs({ args, options: constraintOptions, errors: 'collect' });
+  assert.deepStrictEqual(result.errors.map((error) => error.code), [
+    'ERR_PARSE_ARGS_CONFLICTING_OPTIONS',
+    'ERR_PARSE_ARGS_MISSING_DEPENDENCY',
+  ]);
+});
+
+test('errors: when collect and parse throws then collects error and does not store value', () => {
+  const args = ['--size', 'big', '--name', 'x'];
+  const parseOptions = {
+    size: { type: 'string', parse: () => {
+      throw new Error('not a size');
+    } },
+    name: { type: 'string' },
+  };
+  const result = parseArgs({ args, options: parseOptions, errors: 'collect' });
+  assert.strictEqual(result.errors.length, 1);
+  assert.strictEqual(result.errors[0].message, "Option '--size' argument 'big' is invalid: not a size");
+  assert.deepStrictEqual(result.values, { __proto__: null, name: 'x' });
+});
+
+test('errors: when collect and number option invalid then does not call parse', () => {
+  const args = ['--port', 'http'];
+  const parsed = [];
+  const parseOptions = {
+    port: { type: 'number', parse: (value) => {
+      parsed.push(value);
+      return value;
+    } },
+  };
+  const result = parseArgs({ args, options: parseOptions, errors: 'collect' });
+  assert.deepStrictEqual(result.errors.map((error) => error.code), ['ERR_PARSE_ARGS_INVALID_OPTION_VALUE']);
+  assert.deepStrictEqual(parsed, []);
+  assert.deepStrictEqual(result.values, { __proto__: null, port: 'http' });
+});
+
+test('errors: when collect and string option missing value then does not call parse', () => {
+  const args = ['--name'];
+  const parsed = [];
+  const parseOptions = {
+    name: { type: 'string', parse: (value) => {
+      parsed.push(value);
+      throw new Error('not a name');
+    } },
+  };
+  const result = parseArgs({ args, options: parseOptions, errors: 'collect' });
+  assert.deepStrictEqual(result.errors.map((error) => error.code), ['ERR_PARSE_ARGS_INVALID_OPTION_VALUE']);
+  assert.deepStrictEqual(parsed, []);
+});
+
+test('errors: when collect and env number invalid then does not call parse', () => {
+  const parsed = [];
+  const parseOptions = {
+    port: { type: 'number', env: 'PORT', parse: (value) => {
+      parsed.push(value);
+      return value;
+    } },
+  };
+  const result = parseArgs({ args: [], options: parseOptions, env: { PORT: 'abc' }, errors: 'collect' });
+  assert.strictEqual(result.errors.length, 1);
+  assert.deepStrictEqual(parsed, []);
+});
+
+test('errors: when collect and unknown command then collects error', () => {
+  const args = ['biuld', 'x'];
+  const commands = { build: { allowPositionals: true } };
+  const result = parseArgs({ args, commands, errors: 'collect' });
+  assert.deepStrictEqual(result.errors.map((error) => error.code), [
+    'ERR_PARSE_ARGS_UNKNOWN_COMMAND',
+    'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL',
+  ]);
+  assert.deepStrictEqual(result.positionals, ['biuld', 'x']);
+});
+
+test('errors: when collect and env value invalid then collects error with env token', () => {
+  const args = [];
+  const result = parseArgs({ args, options: { port: { type: 'number', env: 'PORT' } }, env: { PORT: 'http' }, errors: 'collect' });
+  assert.strictEqual(result.errors.length, 1);
+  assert.strictEqual(result.errors[0].token.kind, 'env');
+});
+
+test('errors: when throw then throws first error', () => {
+  const args = ['--nope', '--port', 'http'];
+  assert.throws(() => {
+    parseArgs({ args, options, errors: 'throw' });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+  });
+});
+
+test('errors: when config invalid in collect mode then still throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { port: { type: 'int' } }, errors: 'collect' });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
+
+test('errors: when errors is not a valid mode then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], errors: 'ignore' });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
@@ -0,0 +1,218 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const config = {
+  options: {
+    verbose: { type: 'boolean', short: 'v' },
+    config: { type: 'string', default: 'default.json' },
+  },
+  commands: {
+    build: {
+      options: {
+        watch: { type: 'boolean', short: 'w' },
+        out: { type: 'string', short: 'o', default: 'dist' },
+      },
+      allowPositionals: true,
+    },
+    remote: {
+      options: {
+        name: { type: 'string' },
+      },
+      commands: {
+        add: {
+          options: {
+            fetch: { type: 'boolean', short: 'f' },
+          },
+          allowPositionals: true,
+        },
+        list: {},
+      },
+    },
+  },
+};
+
+test('commands: when no command used then commands path is empty', () => {
+  const args = ['-v'];
+  const expected = {
+    values: { __proto__: null, verbose: true, config: 'default.json' },
+    positionals: [],
+    commands: [],
+    commandValues: [],
+  };
+  const result = parseArgs({ ...config, args });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('commands: command options are stored separately from top level options', () => {
+  const args = ['-v', 'build', '-w', '--out', 'lib', 'src'];
+  const expected = {
+    values: { __proto__: null, verbose: true, config: 'default.json' },
+    positionals: ['src'],
+    commands: ['build'],
+    commandValues: [{ __proto__: null, watch: true, out: 'lib' }],
+  };
+  const result = parseArgs({ ...config, args });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('commands: top level options remain valid after command', () => {
+  const args = ['build', '--config=other.json', '-wv'];
+  const expected = {
+    values: { __proto__: null, verbose: true, config: 'other.json' },
+    positionals: [],
+    commands: ['build'],
+    commandValues: [{ __proto__: null, watch: true, out: 'dist' }],
+  };
+  const result = parseArgs({ ...config, args });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('commands: nested commands report command path and values per level', () => {
+  const args = ['remote', '--name', 'origin', 'add', '-f', '-v', 'url'];
+  const expected = {
+    values: { __proto__: null, verbose: true, config: 'default.json' },
+    positionals: ['url'],
+    commands: ['remote', 'add'],
+    commandValues: [{ __proto__: null, name: 'origin' }, { __proto__: null, fetch: true }],
+  };
+  const result = parseArgs({ ...config, args });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('commands: parent command options remain valid after nested command', () => {
+  const args = ['remote', 'add', '--name=origin'];
+  const result = parseArgs({ ...config, args });
+  assert.deepStrictEqual(result.commandValues, [{ __proto__: null, name: 'origin' }, { __proto__: null }]);
+});
+
+test('commands: command options are not valid before command', () => {
+  const args = ['--watch', 'build'];
+  assert.throws(() => {
+    parseArgs({ ...config, args });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+  });
+});
+
+test('commands: command options are not valid for other commands', () => {
+  const args = ['remote', 'list', '--watch'];
+  assert.throws(() => {
+    parseArgs({ ...config, args });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+  });
+});
+
+test('commands: command option shadows top level option with same name', () => {
+  const shadowConfig = {
+    options: { force: { type: 'boolean', short: 'f' } },
+    commands: { push: { options: { 'force-with-lease': { type: 'boolean', short: 'f' } } } },
+  };
+  const result = parseArgs({ ...shadowConfig, args: ['-f', 'push', '-f', '--force'] });
+  assert.deepStrictEqual(result.values, { __proto__: null, force: true });
+  assert.deepStrictEqual(result.commandValues, [{ __proto__: null, 'force-with-lease': true }]);
+});
+
+test('commands: when unknown command then throws', () => {
+  const args = ['deploy'];
+  assert.throws(() => {
+    parseArgs({ ...config, args });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_COMMAND',
+    message: "Unknown command 'deploy'. Available commands are: 'build', 'remote'"
+  });
+});
+
+test('commands: when unknown nested command then throws', () => {
+  const args = ['remote', 'rename'];
+  assert.throws(() => {
+    parseArgs({ ...config, args });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_COMMAND',
+    message: "Unknown command 'rename'. Available commands are: 'add', 'list'"
+  });
+});
+
+test('commands: when unknown command and strict:false then positional', () => {
+  const args = ['deploy', 'build'];
+  const result = parseArgs({ ...config, args, strict: false });
+  assert.deepStrictEqual(result.positionals, ['deploy', 'build']);
+  assert.deepStrictEqual(result.commands, []);
+});
+
+test('commands: command without allowPositionals rejects positionals', () => {
+  const args = ['remote', 'list', 'extra'];
+  assert.throws(() => {
+    parseArgs({ ...config, args });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL'
+  });
+});
+
+test('commands: command word after -- is a positional', () => {
+  const args = ['--', 'build'];
+  const result = parseArgs({ ...config, args, allowPositionals: true });
+  assert.deepStrictEqual(result.positionals, ['build']);
+  assert.deepStrictEqual(result.commands, []);
+});
+
+test('commands: command word after command positional is a positional', () => {
+  const args = ['build', 'remote'];
+  const result = parseArgs({ ...config, args });
+  assert.deepStrictEqual(result.positionals, ['remote']);
+  assert.deepStrictEqual(result.commands, ['build']);
+});
+
+test('commands: string option value is not a command', () => {
+  const args = ['--config', 'build'];
+  const result = parseArgs({ ...config, args });
+  assert.deepStrictEqual(result.values.config, 'build');
+  assert.deepStrictEqual(result.commands, []);
+});
+
+test('commands: required options are checked for commands used', () => {
+  const requiredConfig = {
+    commands: {
+      get: { options: { key: { type: 'string', required: true } } },
+      list: {},
+    },
+  };
+  assert.deepStrictEqual(parseArgs({ ...requiredConfig, args: ['list'] }).commands, ['list']);
+  assert.throws(() => {
+    parseArgs({ ...requiredConfig, args: ['get'] });
+  }, {
+    code: 'ERR_PARSE_ARGS_MISSING_OPTION',
+    message: "Missing required option '--key'"
+  });
+});
+
+test('tokens: command', () => {
+  const args = ['-v', 'remote', 'add', 'url'];
+  const expectedTokens = [
+    { kind: 'option', name: 'verbose', rawName: '-v', index: 0, value: undefined, inlineValue: undefined },
+    { kind: 'command', name: 'remote', index: 1 },
+    { kind: 'command', name: 'add', index: 2 },
+    { kind: 'positional', index: 3, value: 'url' },
+  ];
+  const { tokens } = parseArgs({ ...config, args, tokens: true });
+  assert.deepStrictEqual(tokens, expectedTokens);
+});
+
+test('commands must be an object', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], commands: ['build'] });
+  }, /commands must be Object/);
+});
+
+test('command options are validated', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], commands: { remote: { commands: { add: { options: { fetch: { type: 'bool' } } } } } } });
+  }, /commands\.remote\.commands\.add\.options\.fetch\.type must be/);
+  assert.throws(() => {
+    parseArgs({ args: [], commands: { build: { allowPositionals: 'yes' } } });
+  }, /commands\.build\.allowPositionals must be Boolean/);
+});
@@ -0,0 +1,115 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { complete } = require('../index.js');
+
+const options = {
+  verbose: { type: 'boolean', short: 'v', negatable: true },
+  color: { type: 'string', choices: ['always', 'auto', 'never'] },
+  branch: { type: 'string', short: 'b', complete: (prefix) => ['main', 'dev'].filter((name) => name.startsWith(prefix)) },
+  secret: { type: 'boolean', hidden: true },
+};
+
+test('complete: when word starts with dash then completes option names', () => {
+  assert.deepStrictEqual(complete({ options }, [], '-'), ['--verbose', '--no-verbose', '-v', '--color', '--branch', '-b']);
+  assert.deepStrictEqual(complete({ options }, [], '--'), ['--verbose', '--no-verbose', '--color', '--branch']);
+  assert.deepStrictEqual(complete({ options }, [], '--no'), ['--no-verbose']);
+});
+
+test('complete: negated names completed for allowNegative', () => {
+  const config = { options: { debug: { type: 'boolean' } }, allowNegative: true };
+  assert.deepStrictEqual(complete(config, [], '--'), ['--debug', '--no-debug']);
+});
+
+test('complete: when previous arg is option taking value then completes choices', () => {
+  assert.deepStrictEqual(complete({ options }, ['--color'], 'a'), ['always', 'auto']);
+  assert.deepStrictEqual(complete({ options }, ['--color'], ''), ['always', 'auto', 'never']);
+});
+
+test('complete: when previous arg is option taking value then word starting with dash is value', () => {
+  assert.deepStrictEqual(complete({ options }, ['--color'], '-'), []);
+});
+
+test('complete: option complete callback supplies values', () => {
+  assert.deepStrictEqual(complete({ options }, ['--branch'], 'ma'), ['main']);
+  assert.deepStrictEqual(complete({ options }, ['-b'], ''), ['main', 'dev']);
+});
+
+test('complete: option value after short group', () => {
+  assert.deepStrictEqual(complete({ options }, ['-vb'], 'd'), ['dev']);
+});
+
+test('complete: option value in same argument keeps option name', () => {
+  assert.deepStrictEqual(complete({ options }, [], '--color=n'), ['--color=never']);
+  assert.deepStrictEqual(complete({ options }, [], '--branch='), ['--branch=main', '--branch=dev']);
+});
+
+test('complete: option value in same argument for abbreviated option', () => {
+  const config = { options, allowAbbreviations: true };
+  assert.deepStrictEqual(complete(config, [], '--col=al'), ['--col=always']);
+});
+
+test('complete: when previous option has value then completes next word', () => {
+  assert.deepStrictEqual(complete({ options }, ['--color', 'auto'], '--v'), ['--verbose']);
+  assert.deepStrictEqual(complete({ options }, ['--color=auto'], ''), []);
+});
+
+test('complete: when option value not known then no candidates', () => {
+  const config = { options: { file: { type: 'string' } } };
+  assert.deepStrictEqual(complete(config, ['--file'], 'a'), []);
+});
+
+test('complete: completes command names and command options', () => {
+  const config = {
+    options: { verbose: { type: 'boolean' } },
+    commands: {
+      build: { options: { watch: { type: 'boolean' } } },
+      bump: {},
+      test: {},
+    },
+  };
+  assert.deepStrictEqual(complete(config, [], 'b'), ['build', 'bump']);
+  assert.deepStrictEqual(complete(config, ['--verbose'], ''), ['build', 'bump', 'test']);
+  assert.deepStrictEqual(complete(config, ['build'], '--'), ['--watch', '--verbose']);
+  assert.deepStrictEqual(complete(config, ['build'], ''), []);
+});
+
+test('complete: completes nested commands', () => {
+  const config = {
+    commands: {
+      remote: { commands: { add: {}, remove: {} } },
+    },
+  };
+  assert.deepStrictEqual(complete(config, ['remote'], 're'), ['remove']);
+});
+
+test('complete: no commands after positional', () => {
+  const config = { commands: { build: {} }, allowPositionals: true };
+  assert.deepStrictEqual(complete(config, ['other'], 'b'), []);
+});
+
+test('complete: no options after option terminator', () => {
+  assert.deepStrictEqual(complete({ options }, ['--'], '-'), []);
+});
+
+test('complete: throws if option complete does not return array of strings', () => {
+  const config = { options: { name: { type: 'string', complete: () => 'main' } } };
+  assert.throws(() => {
+    complete(config, ['--name'], '');
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('complete: throws if option complete is not a function', () => {
+  const config = { options: { name: { type: 'string', complete: ['main'] } } };
+  assert.throws(() => {
+    complete(config, ['--name'], '');
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('complete: throws if argsSoFar not array of strings', () => {
+  assert.throws(() => {
+    complete({ options }, '--color', '');
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
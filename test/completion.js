@@ -0,0 +1,151 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { generateCompletion } = require('../index.js');
+
+const options = {
+  verbose: { type: 'boolean', short: 'v', description: 'Print more output' },
+  color: { type: 'string', choices: ['always', 'never'] },
+  out: { type: 'string', short: 'o' },
+  secret: { type: 'boolean', hidden: true },
+};
+
+const commands = {
+  build: { options: { watch: { type: 'boolean', negatable: true } } },
+  test: {},
+};
+
+test('generateCompletion: bash completes options, choices, files, and positionals', () => {
+  const script = generateCompletion({ options, allowPositionals: true }, { shell: 'bash', programName: 'tool' });
+  assert.ok(script.startsWith('_tool() {\n'));
+  assert.ok(script.includes(`    ':--color')
+      COMPREPLY=($(compgen -W 'always never' -- "$cur"))
+      return
+      ;;
+    ':--out'|':-o')
+      COMPREPLY=($(compgen -f -- "$cur"))
+      return
+      ;;
+`));
+  assert.ok(script.includes(`    '')
+      options='--verbose -v --color --out -o'
+      positionals=files
+      ;;
+`));
+  assert.ok(script.endsWith("\ncomplete -F _tool 'tool'\n"));
+});
+
+test('generateCompletion: bash detects command path and completes command options', () => {
+  const script = generateCompletion({ options, commands }, { shell: 'bash', programName: 'tool' });
+  assert.ok(script.includes(`      ':build') command_path='build' ;;
+      ':test') command_path='test' ;;
+`));
+  assert.ok(script.includes(`    '')
+      options='--verbose -v --color --out -o'
+      commands='build test'
+      ;;
+    'build')
+      options='--watch --no-watch --verbose -v --color --out -o'
+      ;;
+`));
+});
+
+test('generateCompletion: zsh generates _arguments specs', () => {
+  const script = generateCompletion({ options, allowPositionals: true }, { shell: 'zsh', programName: 'tool' });
+  assert.strictEqual(script, `#compdef tool
+
+_tool() {
+  local curcontext="$curcontext" state line
+  _arguments -C \\
+    '--verbose[Print more output]' \\
+    '-v[Print more output]' \\
+    '--color=[]:value:(always never)' \\
+    '--out=[]:value:_files' \\
+    '-o+[]:value:_files' \\
+    '*:file:_files'
+}
+
+if [ "$funcstack[1]" = '_tool' ]; then
+  _tool "$@"
+else
+  compdef _tool 'tool'
+fi
+`);
+});
+
+test('generateCompletion: zsh generates function for each command', () => {
+  const script = generateCompletion({ commands }, { shell: 'zsh', programName: 'tool' });
+  assert.ok(script.includes(`    '1:command:->command' \\
+    '*::arg:->args'
+  case $state in
+    command)
+      compadd -- 'build' 'test'
+      ;;
+    args)
+      case $line[1] in
+        'build') _tool_build ;;
+        'test') _tool_test ;;
+      esac
+      ;;
+  esac
+`));
+  assert.ok(script.includes(`_tool_build() {
+  local curcontext="$curcontext" state line
+  _arguments -C \\
+    '--watch[]' \\
+    '--no-watch[]'
+}
+`));
+});
+
+test('generateCompletion: fish generates complete commands', () => {
+  const script = generateCompletion({ options, allowPositionals: true }, { shell: 'fish', programName: 'tool' });
+  assert.strictEqual(script, `complete -c 'tool' -f
+complete -c 'tool' -l 'verbose' -s 'v' -d 'Print more output'
+complete -c 'tool' -l 'color' -x -a 'always never'
+complete -c 'tool' -l 'out' -s 'o' -r -F
+complete -c 'tool' -F
+`);
+});
+
+test('generateCompletion: fish adds conditions for commands', () => {
+  const script = generateCompletion({ options: { verbose: options.verbose }, commands }, { shell: 'fish', programName: 'tool' });
+  assert.strictEqual(script, `complete -c 'tool' -f
+complete -c 'tool' -l 'verbose' -s 'v' -d 'Print more output'
+complete -c 'tool' -n '__fish_use_subcommand' -a 'build test'
+complete -c 'tool' -n '__fish_seen_subcommand_from build' -l 'watch'
+complete -c 'tool' -n '__fish_seen_subcommand_from build' -l 'no-watch'
+`);
+});
+
+test('generateCompletion: quotes are escaped', () => {
+  const script = generateCompletion({ options: { name: { type: 'boolean', description: "It's" } } }, { shell: 'fish', programName: 'tool' });
+  assert.ok(script.includes("-d 'It\\'s'"));
+});
+
+test('generateCompletion: hidden options are not completed', () => {
+  ['bash', 'zsh', 'fish'].forEach((shell) => {
+    const script = generateCompletion({ options }, { shell, programName: 'tool' });
+    assert.ok(!script.includes('secret'));
+  });
+});
+
+test('generateCompletion: output is deterministic', () => {
+  const first = generateCompletion({ options, commands }, { shell: 'bash', programName: 'tool' });
+  const second = generateCompletion({ options, commands }, { shell: 'bash', programName: 'tool' });
+  assert.strictEqual(first, second);
+});
+
+test('generateCompletion: throws on unknown shell', () => {
+  assert.throws(() => {
+    generateCompletion({ options }, { shell: 'powershell' });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('generateCompletion: throws if config not an object', () => {
+  assert.throws(() => {
+    generateCompletion('tool', { shell: 'bash' });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
@@ -0,0 +1,150 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  json: { type: 'boolean', short: 'j', conflicts: ['table'] },
+  table: { type: 'boolean', negatable: true, default: false },
+  key: { type: 'string', short: 'k', requires: ['cert'] },
+  cert: { type: 'string' },
+  debug: { type: 'boolean', implies: { verbose: true, level: 'trace' } },
+  verbose: { type: 'boolean', negatable: true },
+  level: { type: 'string', choices: ['info', 'trace'], default: 'info' },
+};
+
+test('conflicts: when conflicting options both used then throws naming both', () => {
+  const args = ['-j', '--table'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_CONFLICTING_OPTIONS',
+    message: "Option '-j, --json' cannot be used with option '--table'",
+    options: ['-j, --json', '--table']
+  });
+});
+
+test('conflicts: when conflicting option only has default then does not throw', () => {
+  const args = ['--json'];
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result.values, { __proto__: null, json: true, table: false, level: 'info' });
+});
+
+test('conflicts: when conflicting option negated then does not throw', () => {
+  const args = ['--json', '--no-table'];
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result.values, { __proto__: null, json: true, table: false, level: 'info' });
+});
+
+test('conflicts: when conflicting option set from env then does not throw', () => {
+  const args = ['--json'];
+  const envOptions = { json: { type: 'boolean', conflicts: ['table'] }, table: { type: 'boolean', env: 'TABLE' } };
+  const result = parseArgs({ args, options: envOptions, env: { TABLE: '1' } });
+  assert.deepStrictEqual(result.values, { __proto__: null, json: true, table: true });
+});
+
+test('conflicts: when non-strict then does not throw', () => {
+  const args = ['--json', '--table'];
+  const result = parseArgs({ args, options, strict: false });
+  assert.deepStrictEqual(result.values, { __proto__: null, json: true, table: true, level: 'info' });
+});
+
+test('requires: when required option missing then throws naming both', () => {
+  const args = ['-k', 'key.pem'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_MISSING_DEPENDENCY',
+    message: "Option '-k, --key' requires option '--cert'",
+    options: ['-k, --key', '--cert']
+  });
+});
+
+test('requires: when required option used then does not throw', () => {
+  const args = ['-k', 'key.pem', '--cert', 'cert.pem'];
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result.values, { __proto__: null, key: 'key.pem', cert: 'cert.pem', table: false, level: 'info' });
+});
+
+test('requires: when required option has default then does not throw', () => {
+  const args = ['--key', 'key.pem'];
+  const defaultOptions = { key: { type: 'string', requires: ['cert'] }, cert: { type: 'string', default: 'cert.pem' } };
+  const result = parseArgs({ args, options: defaultOptions });
+  assert.deepStrictEqual(result.values, { __proto__: null, key: 'key.pem', cert: 'cert.pem' });
+});
+
+test('requires: when required option negated in args then throws', () => {
+  const args = ['--key', 'k', '--no-cert'];
+  const negatableOptions = { key: { type: 'string', requires: ['cert'] }, cert: { type: 'boolean', negatable: true } };
+  assert.throws(() => {
+    parseArgs({ args, options: negatableOptions });
+  }, {
+    code: 'ERR_PARSE_ARGS_MISSING_DEPENDENCY',
+    message: "Option '--key' requires option '--cert'"
+  });
+});
+
+test('implies: when option used then stores implied values', () => {
+  const args = ['--debug'];
+  const result = parseArgs({ args, options, sources: true });
+  assert.deepStrictEqual(result.values, { __proto__: null, debug: true, verbose: true, level: 'trace', table: false });
+  assert.deepStrictEqual(result.sources, { __proto__: null, debug: 'cli', verbose: 'implied', level: 'implied', table: 'default' });
+});
+
+test('implies: when implied option used in args then args take precedence', () => {
+  const args = ['--debug', '--no-verbose', '--level', 'info'];
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result.values, { __proto__: null, debug: true, verbose: false, level: 'info', table: false });
+});
+
+test('implies: when option not used then implied values not stored', () => {
+  const args = [];
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result.values, { __proto__: null, table: false, level: 'info' });
+});
+
+test('implies: when implied value satisfies requires then does not throw', () => {
+  const args = ['--secure'];
+  const impliesOptions = {
+    secure: { type: 'boolean', implies: { cert: 'default.pem' }, requires: ['cert'] },
+    cert: { type: 'string' },
+  };
+  const result = parseArgs({ args, options: impliesOptions });
+  assert.deepStrictEqual(result.values, { __proto__: null, secure: true, cert: 'default.pem' });
+});
+
+test('constraints: when conflicts names unknown option then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { json: { type: 'boolean', conflicts: ['yaml'] } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.json.conflicts must only contain the names of other options. Received 'yaml'"
+  });
+});
+
+test('constraints: when requires names own option then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { key: { type: 'string', requires: ['key'] } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE'
+  });
+});
+
+test('constraints: when implies value has wrong type then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { debug: { type: 'boolean', implies: { verbose: 'yes' } }, verbose: { type: 'boolean' } } });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
+
+test('constraints: when implies value not in choices then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { debug: { type: 'boolean', implies: { level: 'debug' } }, level: { type: 'string', choices: ['info'] } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.debug.implies.level must be one of 'info'. Received 'debug'"
+  });
+});
@@ -0,0 +1,158 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs, formatUsage } = require('../index.js');
+
+const options = {
+  verbose: { type: 'count', short: 'v', negatable: true },
+  quiet: { type: 'boolean', short: 'q' },
+};
+
+test('count: when option used once then stores 1', () => {
+  const args = ['--verbose'];
+  const expected = { values: { __proto__: null, verbose: 1 }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option used repeatedly then stores number of uses', () => {
+  const args = ['-v', '--verbose', '-v'];
+  const expected = { values: { __proto__: null, verbose: 3 }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option used in short option group then counts each use', () => {
+  const args = ['-vvqv'];
+  const expected = { values: { __proto__: null, verbose: 3, quiet: true }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option not used then not stored', () => {
+  const args = [];
+  const expected = { values: { __proto__: null }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option not used then stores default', () => {
+  const args = [];
+  const expected = { values: { __proto__: null, verbose: 1 }, positionals: [] };
+  const result = parseArgs({ args, options: { verbose: { type: 'count', default: 1 } } });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option used then default is not added to count', () => {
+  const args = ['-vv'];
+  const expected = { values: { __proto__: null, verbose: 2 }, positionals: [] };
+  const result = parseArgs({ args, options: { verbose: { type: 'count', short: 'v', default: 1 } } });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option used fewer times than default then stores lower count', () => {
+  const args = ['-v'];
+  const expected = { values: { __proto__: null, verbose: 1 }, positionals: [] };
+  const result = parseArgs({ args, options: { verbose: { type: 'count', short: 'v', default: 2 } } });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option negated then resets count to zero', () => {
+  const args = ['-vv', '--no-verbose', '-v'];
+  const expected = { values: { __proto__: null, verbose: 1 }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option negated last then stores zero', () => {
+  const args = ['-vv', '--no-verbose'];
+  const expected = { values: { __proto__: null, verbose: 0 }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when allowNegative then option can be negated', () => {
+  const args = ['--no-verbose'];
+  const expected = { values: { __proto__: null, verbose: 0 }, positionals: [] };
+  const result = parseArgs({ args, options: { verbose: { type: 'count' } }, allowNegative: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option has inline value in strict mode then throws', () => {
+  const args = ['--verbose=3'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '-v, --verbose' does not take an argument"
+  });
+});
+
+test('count: when option has inline value in non-strict mode then value ignored', () => {
+  const args = ['--verbose=3', '-v'];
+  const expected = { values: { __proto__: null, verbose: 2 }, positionals: [] };
+  const result = parseArgs({ args, options, strict: false });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when option followed by positional then positional not consumed', () => {
+  const args = ['-v', 'file'];
+  const expected = { values: { __proto__: null, verbose: 1 }, positionals: ['file'] };
+  const result = parseArgs({ args, options, allowPositionals: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when env set then stores integer', () => {
+  const args = [];
+  const expected = { values: { __proto__: null, verbose: 2 }, positionals: [] };
+  const result = parseArgs({ args, options: { verbose: { type: 'count', env: 'VERBOSE' } }, env: { VERBOSE: '2' } });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('count: when env not a count in strict mode then throws', () => {
+  const args = [];
+  assert.throws(() => {
+    parseArgs({ args, options: { verbose: { type: 'count', env: 'VERBOSE' } }, env: { VERBOSE: '-1' } });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Environment variable 'VERBOSE' for option '--verbose' '-1' must be greater than or equal to 0"
+  });
+});
+
+test('count: when default is not a non-negative integer then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { verbose: { type: 'count', default: true } } });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+  assert.throws(() => {
+    parseArgs({ args: [], options: { verbose: { type: 'count', default: -1 } } });
+  }, {
+    code: 'ERR_OUT_OF_RANGE'
+  });
+});
+
+test('count: when multiple then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { verbose: { type: 'count', multiple: true } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.verbose\.multiple is not supported for count options/
+  });
+});
+
+test('count: when parse then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { verbose: { type: 'count', parse: (value) => value } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.verbose\.parse is not supported for count options/
+  });
+});
+
+test('count: formatUsage shows option is repeatable', () => {
+  const usage = formatUsage({ options }, { programName: 'prog' });
+  assert.strictEqual(usage, 'usage: prog [-q] [-v]...');
+});
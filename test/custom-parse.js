@@ -0,0 +1,148 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const path = require('path');
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+test('parse: return value is stored in values', () => {
+  const args = ['--dir', 'src'];
+  const options = { dir: { type: 'string', parse: (value) => path.resolve('/root', value) } };
+  const expected = { values: { __proto__: null, dir: path.resolve('/root', 'src') }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('parse: called once per occurrence when multiple', () => {
+  const args = ['--tag', 'a', '--tag=b', '-tc'];
+  const options = { tag: { type: 'string', short: 't', multiple: true, parse: (value) => value.toUpperCase() } };
+  const expected = { values: { __proto__: null, tag: ['A', 'B', 'C'] }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('parse: called with option name and token', () => {
+  const args = ['-x', 'a'];
+  const calls = [];
+  const options = { ex: { type: 'string', short: 'x', parse: (value, context) => { calls.push([value, context]); return value; } } };
+  parseArgs({ args, options });
+  assert.deepStrictEqual(calls, [
+    ['a', { name: 'ex', token: { kind: 'option', name: 'ex', rawName: '-x', index: 0, value: 'a', inlineValue: false } }],
+  ]);
+});
+
+test('parse: called with converted value for number options', () => {
+  const args = ['--port', '80'];
+  const options = { port: { type: 'number', parse: (value) => ({ port: value }) } };
+  const expected = { values: { __proto__: null, port: { port: 80 } }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('parse: called with boolean value for boolean options', () => {
+  const args = ['--color', '--no-color'];
+  const options = { color: { type: 'boolean', negatable: true, multiple: true, parse: (value) => (value ? 'on' : 'off') } };
+  const expected = { values: { __proto__: null, color: ['on', 'off'] }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('parse: thrown error is wrapped with cause', () => {
+  const args = ['-d', 'nope'];
+  const cause = new Error('must be a date');
+  const options = { date: { type: 'string', short: 'd', parse: () => { throw cause; } } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, (error) => {
+    assert.strictEqual(error.code, 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE');
+    assert.strictEqual(error.message, "Option '-d, --date' argument 'nope' is invalid: must be a date");
+    assert.strictEqual(error.cause, cause);
+    return true;
+  });
+});
+
+test('parse: thrown error is wrapped when strict:false', () => {
+  const args = ['--date', 'nope'];
+  const options = { date: { type: 'string', parse: () => { throw new Error('bad'); } } };
+  assert.throws(() => {
+    parseArgs({ args, options, strict: false });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE'
+  });
+});
+
+test('parse: when returns undefined then throws', () => {
+  const args = ['--date', 'today'];
+  const options = { date: { type: 'string', default: 'never', parse: () => undefined } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--date' argument 'today' is invalid: parse returned undefined"
+  });
+});
+
+test('parse: when returns undefined in collect mode then default is not stored over it', () => {
+  const args = ['--date', 'today'];
+  const options = { date: { type: 'string', default: 'never', parse: () => undefined } };
+  const result = parseArgs({ args, options, errors: 'collect', sources: true });
+  assert.deepStrictEqual(result.errors.map((error) => error.code), ['ERR_PARSE_ARGS_INVALID_OPTION_VALUE']);
+  assert.strictEqual(result.values.date, 'never');
+  assert.strictEqual(result.sources.date, 'default');
+  assert.strictEqual(result.indices.date, undefined);
+});
+
+test('parse: default is not parsed by default', () => {
+  const args = [];
+  const options = { dir: { type: 'string', default: 'src', parse: (value) => `parsed:${value}` } };
+  const expected = { values: { __proto__: null, dir: 'src' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('parse: default is parsed when parseDefault', () => {
+  const args = [];
+  const calls = [];
+  const options = {
+    dir: { type: 'string', default: 'src', parseDefault: true, parse: (value, context) => { calls.push(context); return `parsed:${value}`; } },
+    tags: { type: 'string', multiple: true, default: ['a', 'b'], parseDefault: true, parse: (value) => `parsed:${value}` },
+  };
+  const expected = { values: { __proto__: null, dir: 'parsed:src', tags: ['parsed:a', 'parsed:b'] }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+  assert.deepStrictEqual(calls, [{ name: 'dir', token: undefined }]);
+});
+
+test('parse: error from parsing default is wrapped', () => {
+  const args = [];
+  const options = { dir: { type: 'string', default: 'src', parseDefault: true, parse: () => { throw new Error('bad'); } } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--dir' default value 'src' is invalid: bad"
+  });
+});
+
+test('parse: tokens keep original value', () => {
+  const args = ['--dir', 'src'];
+  const options = { dir: { type: 'string', parse: (value) => value.length } };
+  const { values, tokens } = parseArgs({ args, options, tokens: true });
+  assert.strictEqual(values.dir, 3);
+  assert.strictEqual(tokens[0].value, 'src');
+});
+
+test('parse must be a function', () => {
+  const options = { dir: { type: 'string', parse: 'path' } };
+  assert.throws(() => {
+    parseArgs({ args: [], options });
+  }, /options\.dir\.parse must be Function/);
+});
+
+test('parseDefault must be a boolean', () => {
+  const options = { dir: { type: 'string', parse: String, parseDefault: 1 } };
+  assert.throws(() => {
+    parseArgs({ args: [], options });
+  }, /options\.dir\.parseDefault must be Boolean/);
+});
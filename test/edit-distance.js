@@ -0,0 +1,39 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { editDistance } = require('../utils.js');
+
+test('editDistance: when passed same strings then returns 0', (t) => {
+  t.equal(editDistance('verbose', 'verbose'), 0);
+  t.equal(editDistance('', ''), 0);
+  t.end();
+});
+
+test('editDistance: when passed empty string then returns length of other', (t) => {
+  t.equal(editDistance('', 'abc'), 3);
+  t.equal(editDistance('abc', ''), 3);
+  t.end();
+});
+
+test('editDistance: when passed single edit then returns 1', (t) => {
+  t.equal(editDistance('verbose', 'verbos'), 1);
+  t.equal(editDistance('verbose', 'verboose'), 1);
+  t.equal(editDistance('verbose', 'verbise'), 1);
+  t.end();
+});
+
+test('editDistance: when passed adjacent transposition then returns 1', (t) => {
+  t.equal(editDistance('verbose', 'verbsoe'), 1);
+  t.end();
+});
+
+test('editDistance: when passed different case then counts as edit', (t) => {
+  t.equal(editDistance('verbose', 'Verbose'), 1);
+  t.end();
+});
+
+test('editDistance: when passed several edits then returns count', (t) => {
+  t.equal(editDistance('kitten', 'sitting'), 3);
+  t.end();
+});
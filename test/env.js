@@ -0,0 +1,218 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+test('env: when option not in args then uses value of env', () => {
+  const args = [];
+  const options = { host: { type: 'string', env: 'APP_HOST' } };
+  const env = { APP_HOST: 'example.com' };
+  const expected = { values: { __proto__: null, host: 'example.com' }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when option in args then args take precedence over env', () => {
+  const args = ['--host', 'localhost'];
+  const options = { host: { type: 'string', env: 'APP_HOST' } };
+  const env = { APP_HOST: 'example.com' };
+  const expected = { values: { __proto__: null, host: 'localhost' }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when env set then env takes precedence over default', () => {
+  const args = [];
+  const options = { host: { type: 'string', env: 'APP_HOST', default: 'localhost' } };
+  const env = { APP_HOST: 'example.com' };
+  const expected = { values: { __proto__: null, host: 'example.com' }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when env not set then uses default', () => {
+  const args = [];
+  const options = { host: { type: 'string', env: 'APP_HOST', default: 'localhost' } };
+  const env = {};
+  const expected = { values: { __proto__: null, host: 'localhost' }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when env is empty string then treated as not set', () => {
+  const args = [];
+  const options = { host: { type: 'string', env: 'APP_HOST', default: 'localhost' } };
+  const env = { APP_HOST: '' };
+  const expected = { values: { __proto__: null, host: 'localhost' }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when envPrefix then env name generated from option name', () => {
+  const args = [];
+  const options = { 'dry-run': { type: 'boolean' }, 'log-level': { type: 'string' } };
+  const env = { APP_DRY_RUN: '1', APP_LOG_LEVEL: 'debug' };
+  const expected = { values: { __proto__: null, 'dry-run': true, 'log-level': 'debug' }, positionals: [] };
+  const result = parseArgs({ args, options, env, envPrefix: 'APP_' });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when option env and envPrefix then option env takes precedence', () => {
+  const args = [];
+  const options = { host: { type: 'string', env: 'HOSTNAME' } };
+  const env = { HOSTNAME: 'a', APP_HOST: 'b' };
+  const expected = { values: { __proto__: null, host: 'a' }, positionals: [] };
+  const result = parseArgs({ args, options, env, envPrefix: 'APP_' });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when boolean option then parses common spellings', () => {
+  const args = [];
+  const options = { a: { type: 'boolean', env: 'A' }, b: { type: 'boolean', env: 'B' }, c: { type: 'boolean', env: 'C' } };
+  const env = { A: 'true', B: 'OFF', C: '0' };
+  const expected = { values: { __proto__: null, a: true, b: false, c: false }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when boolean option has invalid value in strict mode then throws', () => {
+  const args = [];
+  const options = { verbose: { type: 'boolean', short: 'v', env: 'VERBOSE' } };
+  const env = { VERBOSE: 'maybe' };
+  assert.throws(() => {
+    parseArgs({ args, options, env });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Environment variable 'VERBOSE' for option '-v, --verbose' 'maybe' is not a boolean"
+  });
+});
+
+test('env: when boolean option has invalid value in non-strict mode then stores string', () => {
+  const args = [];
+  const options = { verbose: { type: 'boolean', env: 'VERBOSE' } };
+  const env = { VERBOSE: 'maybe' };
+  const expected = { values: { __proto__: null, verbose: 'maybe' }, positionals: [] };
+  const result = parseArgs({ args, options, env, strict: false });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when multiple option then splits value on commas', () => {
+  const args = [];
+  const options = { tag: { type: 'string', multiple: true, env: 'TAGS' } };
+  const env = { TAGS: 'a,b,c' };
+  const expected = { values: { __proto__: null, tag: ['a', 'b', 'c'] }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when multiple option in args then env not added', () => {
+  const args = ['--tag', 'x'];
+  const options = { tag: { type: 'string', multiple: true, env: 'TAGS' } };
+  const env = { TAGS: 'a,b' };
+  const expected = { values: { __proto__: null, tag: ['x'] }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when number option then converts value', () => {
+  const args = [];
+  const options = { port: { type: 'number', env: 'PORT' }, ids: { type: 'bigint', multiple: true, env: 'IDS' } };
+  const env = { PORT: '8080', IDS: '1,2' };
+  const expected = { values: { __proto__: null, port: 8080, ids: [1n, 2n] }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when number option has invalid value in strict mode then throws', () => {
+  const args = [];
+  const options = { port: { type: 'number', short: 'p', env: 'PORT', max: 65535 } };
+  assert.throws(() => {
+    parseArgs({ args, options, env: { PORT: 'http' } });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Environment variable 'PORT' for option '-p, --port' 'http' is not a number"
+  });
+  assert.throws(() => {
+    parseArgs({ args, options, env: { PORT: '99999' } });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Environment variable 'PORT' for option '-p, --port' '99999' must be less than or equal to 65535"
+  });
+});
+
+test('env: when value not in choices in strict mode then throws', () => {
+  const args = [];
+  const options = { color: { type: 'string', choices: ['always', 'never'], env: 'COLOR' } };
+  const env = { COLOR: 'sometimes' };
+  assert.throws(() => {
+    parseArgs({ args, options, env });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Environment variable 'COLOR' for option '--color' 'sometimes' is invalid. Allowed values are: 'always', 'never'",
+    choices: ['always', 'never']
+  });
+});
+
+test('env: when option has parse then parse called with env token', () => {
+  const args = [];
+  const calls = [];
+  const options = { size: { type: 'string', env: 'SIZE', parse: (value, context) => {
+    calls.push(context);
+    return value.length;
+  } } };
+  const env = { SIZE: 'big' };
+  const result = parseArgs({ args, options, env });
+  assert.strictEqual(result.values.size, 3);
+  assert.deepStrictEqual(calls, [{ name: 'size', token: { kind: 'env', name: 'size', rawName: 'SIZE', value: 'big' } }]);
+});
+
+test('env: when option is required then env satisfies requirement', () => {
+  const args = [];
+  const options = { token: { type: 'string', env: 'TOKEN', required: true } };
+  const env = { TOKEN: 'secret' };
+  const expected = { values: { __proto__: null, token: 'secret' }, positionals: [] };
+  const result = parseArgs({ args, options, env });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('env: when command option then uses env', () => {
+  const args = ['build'];
+  const commands = { build: { options: { target: { type: 'string', env: 'TARGET' } } } };
+  const env = { TARGET: 'es2020' };
+  const result = parseArgs({ args, commands, env });
+  assert.deepStrictEqual(result.commandValues, [{ __proto__: null, target: 'es2020' }]);
+});
+
+test('env: when env tokens then not included in tokens', () => {
+  const args = [];
+  const options = { host: { type: 'string', env: 'APP_HOST' } };
+  const env = { APP_HOST: 'example.com' };
+  const result = parseArgs({ args, options, env, tokens: true });
+  assert.deepStrictEqual(result.tokens, []);
+});
+
+test('env: when env config is not an object then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], env: 'HOME=/' });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
+
+test('env: when envPrefix is not a string then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], envPrefix: true });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
+
+test('env: when option env is not a string then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { host: { type: 'string', env: true } } });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
@@ -0,0 +1,26 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { findLongOptionForAlias } = require('../utils.js');
+
+test('findLongOptionForAlias: when passed empty options then returns name', (t) => {
+  t.equal(findLongOptionForAlias('dir', {}), 'dir');
+  t.end();
+});
+
+test('findLongOptionForAlias: when passed alias present in options then returns long', (t) => {
+  t.equal(findLongOptionForAlias('dir', { directory: { type: 'string', aliases: ['dir', 'd2'] } }), 'directory');
+  t.equal(findLongOptionForAlias('d2', { directory: { type: 'string', aliases: ['dir', 'd2'] } }), 'directory');
+  t.end();
+});
+
+test('findLongOptionForAlias: when passed option name then returns name', (t) => {
+  t.equal(findLongOptionForAlias('directory', { directory: { type: 'string', aliases: ['dir'] } }), 'directory');
+  t.end();
+});
+
+test('findLongOptionForAlias: when passed name not present in options then returns name', (t) => {
+  t.equal(findLongOptionForAlias('file', { directory: { type: 'string', aliases: ['dir'] } }), 'file');
+  t.end();
+});
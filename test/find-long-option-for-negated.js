@@ -0,0 +1,40 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { findLongOptionForNegated } = require('../utils.js');
+
+test('findLongOptionForNegated: when passed option without no- prefix then returns undefined', (t) => {
+  t.equal(findLongOptionForNegated('color', { color: { type: 'boolean', negatable: true } }), undefined);
+  t.end();
+});
+
+test('findLongOptionForNegated: when passed negation of negatable boolean then returns long', (t) => {
+  t.equal(findLongOptionForNegated('no-color', { color: { type: 'boolean', negatable: true } }), 'color');
+  t.end();
+});
+
+test('findLongOptionForNegated: when passed negation of plain boolean then returns undefined', (t) => {
+  t.equal(findLongOptionForNegated('no-color', { color: { type: 'boolean' } }), undefined);
+  t.end();
+});
+
+test('findLongOptionForNegated: when allowNegative then returns long for plain boolean', (t) => {
+  t.equal(findLongOptionForNegated('no-color', { color: { type: 'boolean' } }, true), 'color');
+  t.end();
+});
+
+test('findLongOptionForNegated: when option is negatable:false then ignores allowNegative', (t) => {
+  t.equal(findLongOptionForNegated('no-color', { color: { type: 'boolean', negatable: false } }, true), undefined);
+  t.end();
+});
+
+test('findLongOptionForNegated: when passed negation of string option then returns undefined', (t) => {
+  t.equal(findLongOptionForNegated('no-name', { name: { type: 'string' } }, true), undefined);
+  t.end();
+});
+
+test('findLongOptionForNegated: when no-<name> is configured then returns undefined', (t) => {
+  t.equal(findLongOptionForNegated('no-color', { 'color': { type: 'boolean', negatable: true }, 'no-color': { type: 'boolean' } }), undefined);
+  t.end();
+});
@@ -18,3 +18,8 @@ test('findLongOptionForShort: when passed short present in options then returns
   t.equal(findLongOptionForShort('a', { alpha: { short: 'a' } }), 'alpha');
   t.end();
 });
+
+test('findLongOptionForShort: when passed short alias present in options then returns long', (t) => {
+  t.equal(findLongOptionForShort('A', { alpha: { short: 'a', shortAliases: ['A'] } }), 'alpha');
+  t.end();
+});
@@ -0,0 +1,32 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { findLongOptionsForPrefix } = require('../utils.js');
+
+const options = {
+  verbose: { type: 'boolean' },
+  version: { type: 'boolean' },
+  directory: { type: 'string', aliases: ['dir', 'dirname'] },
+};
+
+test('findLongOptionsForPrefix: when passed unique prefix then returns option', (t) => {
+  t.deepEqual(findLongOptionsForPrefix('verb', options), ['verbose']);
+  t.end();
+});
+
+test('findLongOptionsForPrefix: when passed shared prefix then returns all matching options', (t) => {
+  t.deepEqual(findLongOptionsForPrefix('ver', options), ['verbose', 'version']);
+  t.end();
+});
+
+test('findLongOptionsForPrefix: when passed prefix of several aliases then returns option once', (t) => {
+  t.deepEqual(findLongOptionsForPrefix('dir', options), ['directory']);
+  t.deepEqual(findLongOptionsForPrefix('dirn', options), ['directory']);
+  t.end();
+});
+
+test('findLongOptionsForPrefix: when passed prefix matching nothing then returns empty', (t) => {
+  t.deepEqual(findLongOptionsForPrefix('color', options), []);
+  t.end();
+});
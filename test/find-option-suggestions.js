@@ -0,0 +1,66 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { findOptionSuggestions } = require('../utils.js');
+
+const options = {
+  verbose: { type: 'boolean', short: 'v' },
+  version: { type: 'boolean', short: 'V' },
+  directory: { type: 'string', aliases: ['dir'], shortAliases: ['D'] },
+};
+
+test('findOptionSuggestions: when passed misspelt long option then returns close long options', (t) => {
+  t.deepEqual(findOptionSuggestions('--verbsoe', options), ['--verbose']);
+  t.deepEqual(findOptionSuggestions('--directroy', options), ['--directory']);
+  t.end();
+});
+
+test('findOptionSuggestions: when passed several close long options then returns closest first', (t) => {
+  const colorOptions = { colour: { type: 'string' }, color: { type: 'string' } };
+  t.deepEqual(findOptionSuggestions('--colorz', colorOptions), ['--color', '--colour']);
+  t.end();
+});
+
+test('findOptionSuggestions: when passed misspelt alias then returns alias', (t) => {
+  t.deepEqual(findOptionSuggestions('--dri', options), ['--dir']);
+  t.end();
+});
+
+test('findOptionSuggestions: when passed long option with different case then returns option', (t) => {
+  t.deepEqual(findOptionSuggestions('--Verbose', options), ['--verbose']);
+  t.end();
+});
+
+test('findOptionSuggestions: when passed short option with different case then returns short option', (t) => {
+  t.deepEqual(findOptionSuggestions('-d', options), ['-D']);
+  t.end();
+});
+
+test('findOptionSuggestions: when passed unrelated short option then returns empty', (t) => {
+  t.deepEqual(findOptionSuggestions('-x', options), []);
+  t.end();
+});
+
+test('findOptionSuggestions: when passed unrelated long option then returns empty', (t) => {
+  t.deepEqual(findOptionSuggestions('--color', options), []);
+  t.deepEqual(findOptionSuggestions('--vb', options), []);
+  t.end();
+});
+
+test('findOptionSuggestions: when passed misspelt hidden option then returns empty', (t) => {
+  const hiddenOptions = { debug: { type: 'boolean', hidden: true, short: 'd' } };
+  t.deepEqual(findOptionSuggestions('--debgu', hiddenOptions), []);
+  t.deepEqual(findOptionSuggestions('-D', hiddenOptions), []);
+  t.end();
+});
+
+test('findOptionSuggestions: when passed misspelt negated option then returns negated option if negatable', (t) => {
+  const colorOptions = { color: { type: 'boolean', aliases: ['tint'] }, name: { type: 'string' } };
+  t.deepEqual(findOptionSuggestions('--no-colr', colorOptions, true), ['--no-color']);
+  t.deepEqual(findOptionSuggestions('--no-tnt', colorOptions, true), ['--no-tint']);
+  t.deepEqual(findOptionSuggestions('--no-colr', colorOptions), []);
+  t.deepEqual(findOptionSuggestions('--no-nam', colorOptions, true), []);
+  t.deepEqual(findOptionSuggestions('--no-colr', { color: { type: 'boolean', negatable: true } }), ['--no-color']);
+  t.end();
+});
@@ -0,0 +1,165 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { formatHelp, parseArgs } = require('../index.js');
+
+test('formatHelp: aligns option names and descriptions', () => {
+  const options = {
+    verbose: { type: 'boolean', short: 'v', description: 'Print more output' },
+    out: { type: 'string', short: 'o', valueLabel: 'dir', description: 'Output directory' },
+    config: { type: 'string', description: 'Configuration file' },
+  };
+  const expected = [
+    'Options:',
+    '  -v, --verbose         Print more output',
+    '  -o, --out <dir>       Output directory',
+    '      --config <value>  Configuration file',
+  ].join('\n');
+  assert.strictEqual(formatHelp({ options }, { width: 80 }), expected);
+});
+
+test('formatHelp: when no short options then names are not indented for short', () => {
+  const options = {
+    verbose: { type: 'boolean', description: 'Print more output' },
+  };
+  assert.strictEqual(formatHelp({ options }, { width: 80 }), 'Options:\n  --verbose  Print more output');
+});
+
+test('formatHelp: shows defaults, choices, repeatable and required', () => {
+  const options = {
+    format: { type: 'string', choices: ['json', 'table'], default: 'table' },
+    tag: { type: 'string', multiple: true, default: ['a', 'b'] },
+    port: { type: 'number', default: 80, required: false },
+    file: { type: 'string', required: true, description: 'Input' },
+  };
+  const expected = [
+    'Options:',
+    '  --format <value>  (choices: "json", "table") (default: "table")',
+    '  --tag <value>     (default: ["a", "b"]) (repeatable)',
+    '  --port <value>    (default: 80)',
+    '  --file <value>    Input (required)',
+  ].join('\n');
+  assert.strictEqual(formatHelp({ options }, { width: 80 }), expected);
+});
+
+test('formatHelp: shows negatable and preset options', () => {
+  const options = {
+    color: { type: 'boolean', negatable: true },
+    host: { type: 'string', preset: 'localhost', valueLabel: 'host' },
+  };
+  const expected = [
+    'Options:',
+    '  --[no-]color',
+    '  --host[=host]',
+  ].join('\n');
+  assert.strictEqual(formatHelp({ options }, { width: 80 }), expected);
+});
+
+test('formatHelp: shows negatable options when allowNegative', () => {
+  const options = {
+    color: { type: 'boolean' },
+    verbose: { type: 'count' },
+    quiet: { type: 'boolean', negatable: false },
+    name: { type: 'string' },
+  };
+  const expected = [
+    'Options:',
+    '  --[no-]color',
+    '  --[no-]verbose  (repeatable)',
+    '  --quiet',
+    '  --name <value>',
+  ].join('\n');
+  assert.strictEqual(formatHelp({ options, allowNegative: true }, { width: 80 }), expected);
+});
+
+test('formatHelp: wraps descriptions to width', () => {
+  const options = {
+    out: { type: 'string', short: 'o', description: 'Output directory for the generated files' },
+  };
+  const expected = [
+    'Options:',
+    '  -o, --out <value>  Output directory for',
+    '                     the generated files',
+  ].join('\n');
+  assert.strictEqual(formatHelp({ options }, { width: 44 }), expected);
+});
+
+test('formatHelp: when option names too long then description starts on next line', () => {
+  const options = {
+    'a-really-long-option-name': { type: 'string', description: 'Long' },
+    'short': { type: 'boolean', description: 'Short' },
+  };
+  const expected = [
+    'Options:',
+    '  --a-really-long-option-name <value>',
+    '           Long',
+    '  --short  Short',
+  ].join('\n');
+  assert.strictEqual(formatHelp({ options }, { width: 40 }), expected);
+});
+
+test('formatHelp: hidden options are left out', () => {
+  const options = {
+    verbose: { type: 'boolean', description: 'Print more output' },
+    debug: { type: 'boolean', short: 'd', hidden: true },
+  };
+  assert.strictEqual(formatHelp({ options }, { width: 80 }), 'Options:\n  --verbose  Print more output');
+});
+
+test('formatHelp: grouped options are shown in sections after ungrouped options', () => {
+  const options = {
+    json: { type: 'boolean', group: 'Output' },
+    verbose: { type: 'boolean' },
+    proxy: { type: 'string', group: 'Network' },
+    table: { type: 'boolean', group: 'Output' },
+  };
+  const expected = [
+    'Options:',
+    '  --verbose',
+    '',
+    'Output:',
+    '  --json',
+    '  --table',
+    '',
+    'Network:',
+    '  --proxy <value>',
+  ].join('\n');
+  assert.strictEqual(formatHelp({ options }, { width: 80 }), expected);
+});
+
+test('formatHelp: when no options then returns empty string', () => {
+  assert.strictEqual(formatHelp({}, { width: 80 }), '');
+});
+
+test('formatHelp: width must be a positive integer', () => {
+  assert.throws(() => {
+    formatHelp({}, { width: '80' });
+  }, /width must be Number/);
+  assert.throws(() => {
+    formatHelp({}, { width: 0 });
+  }, {
+    code: 'ERR_OUT_OF_RANGE'
+  });
+});
+
+test('parseArgs: help properties are validated', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { foo: { type: 'string', description: 1 } } });
+  }, /options\.foo\.description must be String/);
+  assert.throws(() => {
+    parseArgs({ args: [], options: { foo: { type: 'string', valueLabel: 1 } } });
+  }, /options\.foo\.valueLabel must be String/);
+  assert.throws(() => {
+    parseArgs({ args: [], options: { foo: { type: 'string', group: 1 } } });
+  }, /options\.foo\.group must be String/);
+  assert.throws(() => {
+    parseArgs({ args: [], options: { foo: { type: 'string', hidden: 1 } } });
+  }, /options\.foo\.hidden must be Boolean/);
+});
+
+test('parseArgs: help properties do not change parsing', () => {
+  const options = { foo: { type: 'string', description: 'Foo', valueLabel: 'x', group: 'G', hidden: true } };
+  assert.deepStrictEqual(parseArgs({ args: ['--foo', 'a'], options }).values, { __proto__: null, foo: 'a' });
+});
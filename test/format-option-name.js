@@ -0,0 +1,20 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { formatOptionName } = require('../utils.js');
+
+test('formatOptionName: when option has no short then returns long', (t) => {
+  t.equal(formatOptionName('foo', { foo: { type: 'string' } }), '--foo');
+  t.end();
+});
+
+test('formatOptionName: when option has short then returns short and long', (t) => {
+  t.equal(formatOptionName('foo', { foo: { type: 'string', short: 'f' } }), '-f, --foo');
+  t.end();
+});
+
+test('formatOptionName: when option not configured then returns long', (t) => {
+  t.equal(formatOptionName('foo', {}), '--foo');
+  t.end();
+});
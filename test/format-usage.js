@@ -0,0 +1,110 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { formatUsage } = require('../index.js');
+
+test('formatUsage: when no options then only program name', () => {
+  assert.strictEqual(formatUsage({}, { programName: 'tool' }), 'usage: tool');
+});
+
+test('formatUsage: optional boolean short options are collapsed into sorted group', () => {
+  const options = {
+    long: { type: 'boolean', short: 'l' },
+    all: { type: 'boolean', short: 'a' },
+    one: { type: 'boolean', short: '1' },
+    Recursive: { type: 'boolean', short: 'R' },
+  };
+  assert.strictEqual(formatUsage({ options }, { programName: 'ls' }), 'usage: ls [-1Ral]');
+});
+
+test('formatUsage: options which take a value show value label', () => {
+  const options = {
+    file: { type: 'string', short: 'f', valueLabel: 'FILE' },
+    name: { type: 'string' },
+    port: { type: 'number', valueLabel: 'port' },
+  };
+  assert.strictEqual(formatUsage({ options }, { programName: 'tool' }), 'usage: tool [-f <FILE>] [--name <value>] [--port <port>]');
+});
+
+test('formatUsage: boolean options without short are listed separately', () => {
+  const options = {
+    verbose: { type: 'boolean', short: 'v' },
+    dry: { type: 'boolean' },
+    color: { type: 'boolean', negatable: true },
+  };
+  assert.strictEqual(formatUsage({ options }, { programName: 'tool' }), 'usage: tool [-v] [--dry] [--[no-]color]');
+});
+
+test('formatUsage: boolean options are negatable when allowNegative', () => {
+  const options = {
+    dry: { type: 'boolean' },
+    quiet: { type: 'boolean', negatable: false },
+    name: { type: 'string' },
+  };
+  assert.strictEqual(formatUsage({ options, allowNegative: true }, { programName: 'tool' }), 'usage: tool [--[no-]dry] [--quiet] [--name <value>]');
+});
+
+test('formatUsage: required options are not bracketed', () => {
+  const options = {
+    file: { type: 'string', short: 'f', required: true },
+    force: { type: 'boolean', short: 'F', required: true },
+  };
+  assert.strictEqual(formatUsage({ options }, { programName: 'tool' }), 'usage: tool -f <value> -F');
+});
+
+test('formatUsage: repeatable options are marked', () => {
+  const options = {
+    verbose: { type: 'boolean', short: 'v', multiple: true },
+    include: { type: 'string', short: 'I', multiple: true, required: true },
+  };
+  assert.strictEqual(formatUsage({ options }, { programName: 'tool' }), 'usage: tool [-v]... -I <value>...');
+});
+
+test('formatUsage: choices and preset are shown', () => {
+  const options = {
+    format: { type: 'string', choices: ['json', 'table'] },
+    host: { type: 'string', preset: 'localhost' },
+    level: { type: 'string', short: 'l', preset: '1' },
+  };
+  assert.strictEqual(formatUsage({ options }, { programName: 'tool' }), 'usage: tool [--format <json|table>] [--host[=value]] [-l[value]]');
+});
+
+test('formatUsage: hidden options are left out', () => {
+  const options = {
+    debug: { type: 'boolean', short: 'd', hidden: true },
+    secret: { type: 'string', hidden: true },
+    verbose: { type: 'boolean', short: 'v' },
+  };
+  assert.strictEqual(formatUsage({ options }, { programName: 'tool' }), 'usage: tool [-v]');
+});
+
+test('formatUsage: positionals are shown when allowed', () => {
+  assert.strictEqual(formatUsage({ allowPositionals: true }, { programName: 'tool' }), 'usage: tool [arg ...]');
+  assert.strictEqual(formatUsage({ strict: false }, { programName: 'tool' }), 'usage: tool [arg ...]');
+  assert.strictEqual(formatUsage({ strict: false, allowPositionals: false }, { programName: 'tool' }), 'usage: tool');
+});
+
+test('formatUsage: commands are shown', () => {
+  const config = { options: { verbose: { type: 'boolean', short: 'v' } }, commands: { build: {} } };
+  assert.strictEqual(formatUsage(config, { programName: 'tool' }), 'usage: tool [-v] <command>');
+});
+
+test('formatUsage: positional definitions are shown by name', () => {
+  const config = { positionals: [{ name: 'src', required: true }, { name: 'dest' }, { name: 'files', multiple: true }] };
+  assert.strictEqual(formatUsage(config, { programName: 'tool' }), 'usage: tool <src> [dest] [files...]');
+  const required = { positionals: [{ name: 'files', required: true, multiple: true }] };
+  assert.strictEqual(formatUsage(required, { programName: 'tool' }), 'usage: tool <files...>');
+});
+
+test('formatUsage: programName defaults to name of main script', () => {
+  const path = require('path');
+  assert.strictEqual(formatUsage({}), `usage: ${path.basename(process.argv[1])}`);
+});
+
+test('formatUsage: programName must be a string', () => {
+  assert.throws(() => {
+    formatUsage({}, { programName: 1 });
+  }, /programName must be String/);
+});
@@ -640,9 +640,9 @@ test('tokens: strict:false boolean option group', () => {
   const args = ['-ab'];
   const expectedTokens = [
     { kind: 'option', name: 'a', rawName: '-a',
-      index: 0, value: undefined, inlineValue: undefined },
+      index: 0, value: undefined, inlineValue: undefined, group: '-ab', offset: 1 },
     { kind: 'option', name: 'b', rawName: '-b',
-      index: 0, value: undefined, inlineValue: undefined },
+      index: 0, value: undefined, inlineValue: undefined, group: '-ab', offset: 2 },
   ];
   const { tokens } = parseArgs({ strict: false, args, tokens: true });
   assert.deepStrictEqual(tokens, expectedTokens);
@@ -653,9 +653,9 @@ test('tokens: strict:false boolean option group with repeated option', () => {
   const args = ['-aa', 'pos'];
   const expectedTokens = [
     { kind: 'option', name: 'a', rawName: '-a',
-      index: 0, value: undefined, inlineValue: undefined },
+      index: 0, value: undefined, inlineValue: undefined, group: '-aa', offset: 1 },
     { kind: 'option', name: 'a', rawName: '-a',
-      index: 0, value: undefined, inlineValue: undefined },
+      index: 0, value: undefined, inlineValue: undefined, group: '-aa', offset: 2 },
     { kind: 'positional', index: 1, value: 'pos' },
   ];
   const { tokens } = parseArgs({ strict: false, allowPositionals: true, args, tokens: true });
@@ -765,9 +765,9 @@ test('tokens: strict:true complex option group with value after space', () => {
   };
   const expectedTokens = [
     { kind: 'option', name: 'alpha', rawName: '-a',
-      index: 0, value: undefined, inlineValue: undefined },
+      index: 0, value: undefined, inlineValue: undefined, group: '-ab', offset: 1 },
     { kind: 'option', name: 'beta', rawName: '-b',
-      index: 0, value: 'c', inlineValue: false },
+      index: 0, value: 'c', inlineValue: false, group: '-ab', offset: 2 },
     { kind: 'positional', index: 2, value: 'pos' },
   ];
   const { tokens } = parseArgs({ strict: true, allowPositionals: true, args, options, tokens: true });
@@ -783,15 +783,73 @@ test('tokens: strict:true complex option group with inline value', () => {
   };
   const expectedTokens = [
     { kind: 'option', name: 'alpha', rawName: '-a',
-      index: 0, value: undefined, inlineValue: undefined },
+      index: 0, value: undefined, inlineValue: undefined, group: '-abc', offset: 1 },
     { kind: 'option', name: 'beta', rawName: '-b',
-      index: 0, value: 'c', inlineValue: true },
+      index: 0, value: 'c', inlineValue: true, group: '-abc', offset: 2, valueOffset: 3 },
     { kind: 'positional', index: 1, value: 'pos' },
   ];
   const { tokens } = parseArgs({ strict: true, allowPositionals: true, args, options, tokens: true });
   assert.deepStrictEqual(tokens, expectedTokens);
 });
 
+test('tokens: short option group tokens record offsets in group', () => {
+  const args = ['-abfFILE', '-fV'];
+  const options = {
+    alpha: { short: 'a', type: 'boolean' },
+    beta: { short: 'b', type: 'boolean' },
+    file: { short: 'f', type: 'string' },
+  };
+  const expectedTokens = [
+    { kind: 'option', name: 'alpha', rawName: '-a',
+      index: 0, value: undefined, inlineValue: undefined, group: '-abfFILE', offset: 1 },
+    { kind: 'option', name: 'beta', rawName: '-b',
+      index: 0, value: undefined, inlineValue: undefined, group: '-abfFILE', offset: 2 },
+    { kind: 'option', name: 'file', rawName: '-f',
+      index: 0, value: 'FILE', inlineValue: true, group: '-abfFILE', offset: 3, valueOffset: 4 },
+    { kind: 'option', name: 'file', rawName: '-f',
+      index: 1, value: 'V', inlineValue: true },
+  ];
+  const { tokens } = parseArgs({ args, options, tokens: true });
+  assert.deepStrictEqual(tokens, expectedTokens);
+  const fileToken = tokens[2];
+  assert.strictEqual(args[fileToken.index][fileToken.offset], 'f');
+  assert.strictEqual(args[fileToken.index].slice(fileToken.valueOffset), fileToken.value);
+});
+
+test('tokens: short option group tokens record offsets for preset and unknown options', () => {
+  const args = ['-acxyz'];
+  const options = {
+    alpha: { short: 'a', type: 'boolean' },
+    color: { short: 'c', type: 'string', preset: 'auto' },
+  };
+  const expectedTokens = [
+    { kind: 'option', name: 'alpha', rawName: '-a',
+      index: 0, value: undefined, inlineValue: undefined, group: '-acxyz', offset: 1 },
+    { kind: 'option', name: 'color', rawName: '-c',
+      index: 0, value: 'xyz', inlineValue: true, group: '-acxyz', offset: 2, valueOffset: 3 },
+  ];
+  const { tokens } = parseArgs({ args, options, tokens: true });
+  assert.deepStrictEqual(tokens, expectedTokens);
+
+  const unknownTokens = parseArgs({ args: ['-axyz'], options, tokens: true, allowUnknown: true }).tokens;
+  assert.deepStrictEqual(unknownTokens[1], {
+    kind: 'option', name: 'x', rawName: '-x',
+    index: 0, value: 'yz', inlineValue: true, group: '-axyz', offset: 2, valueOffset: 3, known: false,
+  });
+});
+
+test('tokens: error token from short option group locates option', () => {
+  const args = ['-abz'];
+  const options = {
+    alpha: { short: 'a', type: 'boolean' },
+    beta: { short: 'b', type: 'boolean' },
+  };
+  const { errors } = parseArgs({ args, options, errors: 'collect' });
+  assert.strictEqual(errors[0].code, 'ERR_PARSE_ARGS_UNKNOWN_OPTION');
+  assert.strictEqual(errors[0].token.group, '-abz');
+  assert.strictEqual(errors[0].token.offset, 3);
+});
+
 test('tokens: strict:false with single dashes', () => {
   const args = ['--file', '-', '-'];
   const options = {
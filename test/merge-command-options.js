@@ -0,0 +1,24 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { mergeCommandOptions } = require('../utils.js');
+
+test('mergeCommandOptions: when passed command options then includes parent and command options', (t) => {
+  const merged = mergeCommandOptions({ verbose: { type: 'boolean' } }, { target: { type: 'string' } });
+  t.deepEqual(Object.keys(merged), ['target', 'verbose']);
+  t.end();
+});
+
+test('mergeCommandOptions: when command option has same name then command option is used', (t) => {
+  const commandOption = { type: 'string' };
+  const merged = mergeCommandOptions({ verbose: { type: 'boolean' } }, { verbose: commandOption });
+  t.equal(merged.verbose, commandOption);
+  t.end();
+});
+
+test('mergeCommandOptions: when passed undefined command options then returns parent options', (t) => {
+  const merged = mergeCommandOptions({ verbose: { type: 'boolean' } }, undefined);
+  t.deepEqual(Object.keys(merged), ['verbose']);
+  t.end();
+});
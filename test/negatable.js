@@ -0,0 +1,146 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+test('negatable boolean option stores false when used as --no-foo', () => {
+  const args = ['--no-color'];
+  const options = { color: { type: 'boolean', negatable: true } };
+  const expected = { values: { __proto__: null, color: false }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('negatable boolean option stores true when used as --foo', () => {
+  const args = ['--color'];
+  const options = { color: { type: 'boolean', negatable: true } };
+  const expected = { values: { __proto__: null, color: true }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('negatable boolean option is last one wins against positive option', () => {
+  const options = { color: { type: 'boolean', negatable: true } };
+  assert.deepStrictEqual(parseArgs({ args: ['--color', '--no-color'], options }).values, { __proto__: null, color: false });
+  assert.deepStrictEqual(parseArgs({ args: ['--no-color', '--color'], options }).values, { __proto__: null, color: true });
+});
+
+test('negatable boolean option with multiple stores false in array', () => {
+  const args = ['--color', '--no-color', '--color'];
+  const options = { color: { type: 'boolean', negatable: true, multiple: true } };
+  const expected = { values: { __proto__: null, color: [true, false, true] }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('negated option overrides default', () => {
+  const args = ['--no-color'];
+  const options = { color: { type: 'boolean', negatable: true, default: true } };
+  const expected = { values: { __proto__: null, color: false }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('allowNegative makes all boolean options negatable', () => {
+  const args = ['--no-color', '--no-debug'];
+  const options = { color: { type: 'boolean' }, debug: { type: 'boolean' } };
+  const expected = { values: { __proto__: null, color: false, debug: false }, positionals: [] };
+  const result = parseArgs({ args, options, allowNegative: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('negatable:false overrides allowNegative', () => {
+  const args = ['--no-color'];
+  const options = { color: { type: 'boolean', negatable: false } };
+  assert.throws(() => {
+    parseArgs({ args, options, allowNegative: true });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+  });
+});
+
+test('strict: when option not negatable then --no-foo is unknown option', () => {
+  const args = ['--no-bar'];
+  const options = { bar: { type: 'boolean' } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: /'--no-bar'/
+  });
+});
+
+test('strict: allowNegative does not apply to string options', () => {
+  const args = ['--no-name'];
+  const options = { name: { type: 'string' } };
+  assert.throws(() => {
+    parseArgs({ args, options, allowNegative: true });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+  });
+});
+
+test('strict: when negated option has inline value then throws', () => {
+  const args = ['--no-color=true'];
+  const options = { color: { type: 'boolean', negatable: true } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Negated option '--no-color' does not take an argument"
+  });
+});
+
+test('configured option named no-foo takes precedence over negation', () => {
+  const args = ['--no-color'];
+  const options = { 'color': { type: 'boolean', negatable: true }, 'no-color': { type: 'boolean' } };
+  const expected = { values: { __proto__: null, 'no-color': true }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('negated option does not consume following argument', () => {
+  const args = ['--no-color', 'file'];
+  const options = { color: { type: 'boolean', negatable: true } };
+  const expected = { values: { __proto__: null, color: false }, positionals: ['file'] };
+  const result = parseArgs({ args, options, allowPositionals: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('tokens: negated option', () => {
+  const args = ['--no-color', '--no-debug=1'];
+  const options = { color: { type: 'boolean', negatable: true }, debug: { type: 'boolean', negatable: true } };
+  const expectedTokens = [
+    { kind: 'option', name: 'color', rawName: '--no-color', index: 0, value: undefined, inlineValue: undefined, negated: true },
+    { kind: 'option', name: 'debug', rawName: '--no-debug', index: 1, value: '1', inlineValue: true, negated: true },
+  ];
+  const { tokens } = parseArgs({ args, options, strict: false, tokens: true });
+  assert.deepStrictEqual(tokens, expectedTokens);
+});
+
+test('negatable must be a boolean', () => {
+  const args = [];
+  const options = { color: { type: 'boolean', negatable: 'yes' } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, /options\.color\.negatable must be Boolean/);
+});
+
+test('negatable is only supported for boolean options', () => {
+  const args = [];
+  const options = { name: { type: 'string', negatable: true } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.name\.negatable is only supported for boolean and count options/
+  });
+});
+
+test('allowNegative must be a boolean', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], allowNegative: 'yes' });
+  }, /allowNegative must be Boolean/);
+});
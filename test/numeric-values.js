@@ -0,0 +1,310 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+test('number: when option used with value then stores number', () => {
+  const args = ['--ratio', '1.5', '-n', '3'];
+  const options = { ratio: { type: 'number' }, count: { type: 'number', short: 'n' } };
+  const expected = { values: { __proto__: null, ratio: 1.5, count: 3 }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('number: inline, attached and grouped values are converted', () => {
+  const args = ['--count=-4', '-n5', '-vn', '6'];
+  const options = { count: { type: 'number', short: 'n', multiple: true }, verbose: { type: 'boolean', short: 'v' } };
+  const expected = { values: { __proto__: null, count: [-4, 5, 6], verbose: true }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('number: accepts exponent and leading decimal point', () => {
+  const options = { n: { type: 'number' } };
+  assert.deepStrictEqual(parseArgs({ args: ['--n=1e3'], options }).values, { __proto__: null, n: 1000 });
+  assert.deepStrictEqual(parseArgs({ args: ['--n=.5'], options }).values, { __proto__: null, n: 0.5 });
+  assert.deepStrictEqual(parseArgs({ args: ['--n=+7'], options }).values, { __proto__: null, n: 7 });
+});
+
+test('number: when value is not a number then throws naming option and value', () => {
+  const args = ['--port', 'abc'];
+  const options = { port: { type: 'number', short: 'p' } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '-p, --port <value>' argument 'abc' is not a number"
+  });
+});
+
+test('number: when value is empty then throws', () => {
+  const args = ['--port='];
+  const options = { port: { type: 'number' } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--port <value>' argument '' is not a number"
+  });
+});
+
+test('number: when value missing then throws argument missing', () => {
+  const args = ['--port'];
+  const options = { port: { type: 'number' } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--port <value>' argument missing"
+  });
+});
+
+test('number: when integer and value has fraction then throws', () => {
+  const args = ['--port', '80.5'];
+  const options = { port: { type: 'number', integer: true } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--port <value>' argument '80.5' is not an integer"
+  });
+});
+
+test('number: when integer is not a safe integer then throws', () => {
+  const args = ['--port', '99999999999999999999'];
+  const options = { port: { type: 'number', integer: true } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE'
+  });
+});
+
+test('number: when value below min or above max then throws', () => {
+  const options = { port: { type: 'number', integer: true, min: 1, max: 65535 } };
+  assert.throws(() => {
+    parseArgs({ args: ['--port', '0'], options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--port <value>' argument '0' must be greater than or equal to 1"
+  });
+  assert.throws(() => {
+    parseArgs({ args: ['--port', '70000'], options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--port <value>' argument '70000' must be less than or equal to 65535"
+  });
+  assert.deepStrictEqual(parseArgs({ args: ['--port', '65535'], options }).values, { __proto__: null, port: 65535 });
+});
+
+test('number: radix prefixes are rejected by default', () => {
+  const args = ['--mode=0o22'];
+  const options = { mode: { type: 'number' } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--mode <value>' argument '0o22' is not a number"
+  });
+});
+
+test('number: radix prefixes are accepted with radixPrefixes', () => {
+  const args = ['--mode=0o22', '--mode=0x1F', '--mode=-0b101', '--mode=10'];
+  const options = { mode: { type: 'number', radixPrefixes: true, multiple: true } };
+  const expected = { values: { __proto__: null, mode: [18, 31, -5, 10] }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('bigint: when option used with value then stores bigint', () => {
+  const args = ['--size', '12345678901234567890', '--offset=-3'];
+  const options = { size: { type: 'bigint' }, offset: { type: 'bigint' } };
+  const expected = { values: { __proto__: null, size: 12345678901234567890n, offset: -3n }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('bigint: when value has fraction then throws', () => {
+  const args = ['--size', '1.5'];
+  const options = { size: { type: 'bigint' } };
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--size <value>' argument '1.5' is not an integer"
+  });
+});
+
+test('bigint: radixPrefixes and range are supported', () => {
+  const options = { size: { type: 'bigint', radixPrefixes: true, min: 0n } };
+  assert.deepStrictEqual(parseArgs({ args: ['--size=0xff'], options }).values, { __proto__: null, size: 255n });
+  assert.throws(() => {
+    parseArgs({ args: ['--size=-0x1'], options });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Option '--size <value>' argument '-0x1' must be greater than or equal to 0"
+  });
+});
+
+test('number: when strict:false and value invalid then stores string', () => {
+  const args = ['--port', 'abc', '--count', '2'];
+  const options = { port: { type: 'number' }, count: { type: 'number' } };
+  const expected = { values: { __proto__: null, port: 'abc', count: 2 }, positionals: [] };
+  const result = parseArgs({ args, options, strict: false });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('number: when strict:false and used as flag then stores true', () => {
+  const args = ['--port'];
+  const options = { port: { type: 'number' } };
+  const expected = { values: { __proto__: null, port: true }, positionals: [] };
+  const result = parseArgs({ args, options, strict: false });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('number: preset is converted', () => {
+  const args = ['--level'];
+  const options = { level: { type: 'number', preset: '3' } };
+  const expected = { values: { __proto__: null, level: 3 }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('number: preset must be a valid number', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { level: { type: 'number', preset: 'abc' } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.level.preset must be a number. Received 'abc'"
+  });
+  assert.throws(() => {
+    parseArgs({ args: [], options: { level: { type: 'number', integer: true, preset: '1.5' } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.level.preset must be an integer. Received '1.5'"
+  });
+  assert.throws(() => {
+    parseArgs({ args: [], options: { size: { type: 'bigint', preset: '0x10' } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.size.preset must be an integer. Received '0x10'"
+  });
+});
+
+test('number: preset must be in range', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { level: { type: 'number', min: 1, preset: '0' } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.level.preset must be greater than or equal to 1. Received '0'"
+  });
+  assert.throws(() => {
+    parseArgs({ args: [], options: { size: { type: 'bigint', max: 5n, preset: '6' } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property options.size.preset must be less than or equal to 5. Received '6'"
+  });
+});
+
+test('number: tokens keep value as string', () => {
+  const args = ['--port', '80'];
+  const options = { port: { type: 'number' } };
+  const expectedTokens = [
+    { kind: 'option', name: 'port', rawName: '--port', index: 0, value: '80', inlineValue: false },
+  ];
+  const { tokens } = parseArgs({ args, options, tokens: true });
+  assert.deepStrictEqual(tokens, expectedTokens);
+});
+
+test('number: default is stored', () => {
+  const args = [];
+  const options = { port: { type: 'number', default: 80 }, sizes: { type: 'bigint', multiple: true, default: [1n, 2n] } };
+  const expected = { values: { __proto__: null, port: 80, sizes: [1n, 2n] }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('number: default must be a number', () => {
+  const options = { port: { type: 'number', default: '80' } };
+  assert.throws(() => {
+    parseArgs({ args: [], options });
+  }, /options\.port\.default must be Number/);
+});
+
+test('number: default must be an integer when integer', () => {
+  const options = { port: { type: 'number', integer: true, default: 1.5 } };
+  assert.throws(() => {
+    parseArgs({ args: [], options });
+  }, {
+    code: 'ERR_OUT_OF_RANGE',
+    message: /options\.port\.default" is out of range\. It must be an integer/
+  });
+});
+
+test('number: default must be in range', () => {
+  const options = { port: { type: 'number', min: 1, max: 10, multiple: true, default: [1, 20] } };
+  assert.throws(() => {
+    parseArgs({ args: [], options });
+  }, {
+    code: 'ERR_OUT_OF_RANGE',
+    message: /options\.port\.default\[1\]" is out of range\. It must be >= 1 && <= 10/
+  });
+});
+
+test('number: default must be finite', () => {
+  for (const defaultValue of [NaN, Infinity, -Infinity]) {
+    assert.throws(() => {
+      parseArgs({ args: [], options: { ratio: { type: 'number', default: defaultValue } } });
+    }, {
+      code: 'ERR_OUT_OF_RANGE',
+      message: `The value of "options.ratio.default" is out of range. It must be a finite number. Received ${defaultValue}`
+    });
+  }
+  assert.throws(() => {
+    parseArgs({ args: [], options: { ratio: { type: 'number', multiple: true, default: [1, NaN] } } });
+  }, {
+    code: 'ERR_OUT_OF_RANGE',
+    message: /options\.ratio\.default\[1\]" is out of range\. It must be a finite number/
+  });
+});
+
+test('bigint: default must be a bigint in range', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { size: { type: 'bigint', default: 1 } } });
+  }, /options\.size\.default must be BigInt/);
+  assert.throws(() => {
+    parseArgs({ args: [], options: { size: { type: 'bigint', max: 5n, default: 6n } } });
+  }, {
+    code: 'ERR_OUT_OF_RANGE',
+    message: /options\.size\.default" is out of range\. It must be <= 5/
+  });
+});
+
+test('number: min and max must match type', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { port: { type: 'number', min: '1' } } });
+  }, /options\.port\.min must be Number/);
+  assert.throws(() => {
+    parseArgs({ args: [], options: { size: { type: 'bigint', max: 1 } } });
+  }, /options\.size\.max must be BigInt/);
+});
+
+test('number: numeric properties are only supported for numeric options', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { name: { type: 'string', min: 1 } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.name\.min is only supported for number and bigint options/
+  });
+  assert.throws(() => {
+    parseArgs({ args: [], options: { size: { type: 'bigint', integer: true } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.size\.integer is only supported for number options/
+  });
+  assert.throws(() => {
+    parseArgs({ args: [], options: { size: { type: 'number', radixPrefixes: 'yes' } } });
+  }, /options\.size\.radixPrefixes must be Boolean/);
+});
@@ -0,0 +1,34 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { parseBooleanValue } = require('../utils.js');
+
+test('parseBooleanValue: when passed true spelling then returns true', (t) => {
+  t.equal(parseBooleanValue('1'), true);
+  t.equal(parseBooleanValue('true'), true);
+  t.equal(parseBooleanValue('yes'), true);
+  t.equal(parseBooleanValue('on'), true);
+  t.end();
+});
+
+test('parseBooleanValue: when passed false spelling then returns false', (t) => {
+  t.equal(parseBooleanValue('0'), false);
+  t.equal(parseBooleanValue('false'), false);
+  t.equal(parseBooleanValue('no'), false);
+  t.equal(parseBooleanValue('off'), false);
+  t.end();
+});
+
+test('parseBooleanValue: when passed mixed case then ignores case', (t) => {
+  t.equal(parseBooleanValue('TRUE'), true);
+  t.equal(parseBooleanValue('Off'), false);
+  t.end();
+});
+
+test('parseBooleanValue: when passed unrecognised value then returns undefined', (t) => {
+  t.equal(parseBooleanValue(''), undefined);
+  t.equal(parseBooleanValue('2'), undefined);
+  t.equal(parseBooleanValue('maybe'), undefined);
+  t.end();
+});
@@ -0,0 +1,42 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { parseNumericValue } = require('../utils.js');
+
+test('parseNumericValue: when passed decimal then returns number', (t) => {
+  t.equal(parseNumericValue('1.5', { type: 'number' }), 1.5);
+  t.equal(parseNumericValue('-2', { type: 'number' }), -2);
+  t.equal(parseNumericValue('1e3', { type: 'number' }), 1000);
+  t.end();
+});
+
+test('parseNumericValue: when passed non-number then returns undefined', (t) => {
+  t.equal(parseNumericValue('', { type: 'number' }), undefined);
+  t.equal(parseNumericValue('.', { type: 'number' }), undefined);
+  t.equal(parseNumericValue('abc', { type: 'number' }), undefined);
+  t.equal(parseNumericValue('1e999', { type: 'number' }), undefined);
+  t.equal(parseNumericValue('Infinity', { type: 'number' }), undefined);
+  t.end();
+});
+
+test('parseNumericValue: when integer and passed fraction then returns undefined', (t) => {
+  t.equal(parseNumericValue('1.5', { type: 'number', integer: true }), undefined);
+  t.equal(parseNumericValue('15', { type: 'number', integer: true }), 15);
+  t.end();
+});
+
+test('parseNumericValue: when passed radix prefix then only accepted with radixPrefixes', (t) => {
+  t.equal(parseNumericValue('0o22', { type: 'number' }), undefined);
+  t.equal(parseNumericValue('0o22', { type: 'number', radixPrefixes: true }), 18);
+  t.equal(parseNumericValue('-0x1f', { type: 'number', radixPrefixes: true }), -31);
+  t.equal(parseNumericValue('0b2', { type: 'number', radixPrefixes: true }), undefined);
+  t.end();
+});
+
+test('parseNumericValue: when type bigint then returns bigint', (t) => {
+  t.equal(parseNumericValue('-12', { type: 'bigint' }), -12n);
+  t.equal(parseNumericValue('0x10', { type: 'bigint', radixPrefixes: true }), 16n);
+  t.equal(parseNumericValue('1.5', { type: 'bigint' }), undefined);
+  t.end();
+});
@@ -0,0 +1,215 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+test('positionals: when positionals defined then returns named args', () => {
+  const positionals = [{ name: 'src' }, { name: 'dest' }];
+  const result = parseArgs({ args: ['a.txt', 'b.txt'], positionals });
+  assert.deepStrictEqual(result.positionals, ['a.txt', 'b.txt']);
+  assert.deepStrictEqual(result.args, { __proto__: null, src: 'a.txt', dest: 'b.txt' });
+});
+
+test('positionals: when positionals not defined then args not returned', () => {
+  const result = parseArgs({ args: ['a.txt'], allowPositionals: true });
+  assert.strictEqual(result.args, undefined);
+});
+
+test('positionals: missing optional positional is not set', () => {
+  const positionals = [{ name: 'src' }, { name: 'dest' }];
+  const result = parseArgs({ args: ['a.txt'], positionals });
+  assert.deepStrictEqual(result.args, { __proto__: null, src: 'a.txt' });
+});
+
+test('positionals: multiple positional collects remaining positionals', () => {
+  const positionals = [{ name: 'dest', required: true }, { name: 'files', multiple: true }];
+  const result = parseArgs({ args: ['out', 'a', 'b'], positionals });
+  assert.deepStrictEqual(result.args, { __proto__: null, dest: 'out', files: ['a', 'b'] });
+  const empty = parseArgs({ args: ['out'], positionals });
+  assert.deepStrictEqual(empty.args, { __proto__: null, dest: 'out' });
+});
+
+test('positionals: numeric types are converted', () => {
+  const positionals = [{ name: 'count', type: 'number' }, { name: 'ids', type: 'bigint', multiple: true }];
+  const result = parseArgs({ args: ['3', '10', '20'], positionals });
+  assert.deepStrictEqual(result.args, { __proto__: null, count: 3, ids: [10n, 20n] });
+  assert.deepStrictEqual(result.positionals, ['3', '10', '20']);
+});
+
+test('positionals: when invalid number then throws', () => {
+  const positionals = [{ name: 'count', type: 'number' }];
+  assert.throws(() => {
+    parseArgs({ args: ['lots'], positionals });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Positional argument 'count' value 'lots' is not a number",
+  });
+});
+
+test('positionals: when invalid number and not strict then stores string', () => {
+  const positionals = [{ name: 'count', type: 'number' }];
+  const result = parseArgs({ args: ['lots'], positionals, strict: false });
+  assert.deepStrictEqual(result.args, { __proto__: null, count: 'lots' });
+});
+
+test('positionals: parse function is called with value and context', () => {
+  const calls = [];
+  const positionals = [{ name: 'date', parse: (value, context) => {
+    calls.push(context);
+    return new Date(value);
+  } }];
+  const result = parseArgs({ args: ['2020-01-01'], positionals, tokens: true });
+  assert.deepStrictEqual(result.args.date, new Date('2020-01-01'));
+  assert.deepStrictEqual(calls, [{ name: 'date', token: result.tokens[0] }]);
+});
+
+test('positionals: errors from parse function are wrapped', () => {
+  const cause = new Error('bad date');
+  const positionals = [{ name: 'date', parse: () => { throw cause; } }];
+  assert.throws(() => {
+    parseArgs({ args: ['soon'], positionals });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE',
+    message: "Positional argument 'date' value 'soon' is invalid: bad date",
+    cause,
+  });
+});
+
+test('positionals: when required positionals missing then throws', () => {
+  const positionals = [{ name: 'src', required: true }, { name: 'dest', required: true }];
+  assert.throws(() => {
+    parseArgs({ args: [], positionals });
+  }, {
+    code: 'ERR_PARSE_ARGS_TOO_FEW_POSITIONALS',
+    message: "Missing required positional arguments 'src', 'dest'",
+    positionals: ['src', 'dest'],
+  });
+  assert.throws(() => {
+    parseArgs({ args: ['a'], positionals });
+  }, {
+    code: 'ERR_PARSE_ARGS_TOO_FEW_POSITIONALS',
+    message: "Missing required positional argument 'dest'",
+  });
+});
+
+test('positionals: when too many positionals then throws', () => {
+  const positionals = [{ name: 'src' }];
+  assert.throws(() => {
+    parseArgs({ args: ['a', 'b'], positionals });
+  }, {
+    code: 'ERR_PARSE_ARGS_TOO_MANY_POSITIONALS',
+    message: "Unexpected argument 'b'. This command takes at most 1 positional argument",
+    maxCount: 1,
+  });
+  assert.throws(() => {
+    parseArgs({ args: ['a'], positionals: [] });
+  }, {
+    code: 'ERR_PARSE_ARGS_TOO_MANY_POSITIONALS',
+    message: "Unexpected argument 'a'. This command takes at most 0 positional arguments",
+  });
+});
+
+test('positionals: when not strict then count is not checked', () => {
+  const positionals = [{ name: 'src', required: true }];
+  assert.deepStrictEqual(parseArgs({ args: [], positionals, strict: false }).args, { __proto__: null });
+  assert.deepStrictEqual(parseArgs({ args: ['a', 'b'], positionals, strict: false }).args, { __proto__: null, src: 'a' });
+});
+
+test('positionals: allowPositionals false does not apply when positionals defined', () => {
+  const result = parseArgs({ args: ['a'], positionals: [{ name: 'src' }], allowPositionals: false });
+  assert.deepStrictEqual(result.args, { __proto__: null, src: 'a' });
+});
+
+test('positionals: positionals after option terminator are included', () => {
+  const positionals = [{ name: 'files', multiple: true }];
+  const result = parseArgs({ args: ['--', '-a'], positionals });
+  assert.deepStrictEqual(result.args, { __proto__: null, files: ['-a'] });
+});
+
+test('positionals: command positionals are returned in args', () => {
+  const config = {
+    args: ['copy', 'a', 'b'],
+    positionals: [{ name: 'ignored' }],
+    commands: {
+      copy: { positionals: [{ name: 'src', required: true }, { name: 'dest', required: true }] },
+    },
+  };
+  const result = parseArgs(config);
+  assert.deepStrictEqual(result.args, { __proto__: null, src: 'a', dest: 'b' });
+});
+
+test('positionals: command without positionals uses allowPositionals', () => {
+  const config = {
+    args: ['build', 'a'],
+    positionals: [{ name: 'src' }],
+    commands: { build: {} },
+  };
+  assert.throws(() => {
+    parseArgs(config);
+  }, { code: 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL' });
+});
+
+test('positionals: count errors are collected', () => {
+  const positionals = [{ name: 'src' }];
+  const result = parseArgs({ args: ['a', 'b'], positionals, errors: 'collect', tokens: true });
+  assert.strictEqual(result.errors.length, 1);
+  assert.strictEqual(result.errors[0].code, 'ERR_PARSE_ARGS_TOO_MANY_POSITIONALS');
+  assert.strictEqual(result.errors[0].token, result.tokens[1]);
+  assert.deepStrictEqual(result.args, { __proto__: null, src: 'a' });
+});
+
+test('positionals: throws if not an array', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], positionals: { src: {} } });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('positionals: throws if name missing', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], positionals: [{ required: true }] });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('positionals: throws if name is duplicated', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], positionals: [{ name: 'src' }, { name: 'dest' }, { name: 'src' }] });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property positionals[2].name must not be the name of positionals[0]. Received 'src'",
+  });
+});
+
+test('positionals: throws if type not supported', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], positionals: [{ name: 'src', type: 'boolean' }] });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('positionals: throws if multiple positional is not last', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], positionals: [{ name: 'files', multiple: true }, { name: 'dest' }] });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property positionals[0].multiple is only supported for the last positional. Received 'true'",
+  });
+});
+
+test('positionals: throws if required positional follows optional positional', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], positionals: [{ name: 'src' }, { name: 'dest', required: true }] });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property positionals[1].required can not follow optional positional 'src'. Received 'true'",
+  });
+});
+
+test('positionals: command positionals are validated', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], commands: { copy: { positionals: [{ name: 'a', multiple: true }, { name: 'b' }] } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /^The property commands\.copy\.positionals\[0\]\.multiple/,
+  });
+});
@@ -0,0 +1,120 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  host: { type: 'string', short: 'h', preset: 'localhost' },
+  debug: { type: 'boolean', short: 'd' },
+};
+
+test('preset: when long option used without value then stores preset', () => {
+  const args = ['--host'];
+  const expected = { values: { __proto__: null, host: 'localhost' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when short option used without value then stores preset', () => {
+  const args = ['-h'];
+  const expected = { values: { __proto__: null, host: 'localhost' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when long option followed by argument then does not consume argument', () => {
+  const args = ['--host', 'example.com'];
+  const expected = { values: { __proto__: null, host: 'localhost' }, positionals: ['example.com'] };
+  const result = parseArgs({ args, options, allowPositionals: true });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when short option followed by option then does not consume option', () => {
+  const args = ['-h', '-d'];
+  const expected = { values: { __proto__: null, host: 'localhost', debug: true }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when long option has inline value then stores value', () => {
+  const args = ['--host=example.com'];
+  const expected = { values: { __proto__: null, host: 'example.com' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when long option has empty inline value then stores empty string', () => {
+  const args = ['--host='];
+  const expected = { values: { __proto__: null, host: '' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when short option has attached value then stores value', () => {
+  const args = ['-hexample.com'];
+  const expected = { values: { __proto__: null, host: 'example.com' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when short option last in group then stores preset', () => {
+  const args = ['-dh'];
+  const expected = { values: { __proto__: null, debug: true, host: 'localhost' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when option not used then default is stored', () => {
+  const args = [];
+  const defaultOptions = { host: { type: 'string', preset: 'localhost', default: 'default.com' } };
+  const expected = { values: { __proto__: null, host: 'default.com' }, positionals: [] };
+  const result = parseArgs({ args, options: defaultOptions });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when multiple then stores preset for each use without value', () => {
+  const args = ['--host', '--host=a', '--host'];
+  const multipleOptions = { host: { type: 'string', preset: 'localhost', multiple: true } };
+  const expected = { values: { __proto__: null, host: ['localhost', 'a', 'localhost'] }, positionals: [] };
+  const result = parseArgs({ args, options: multipleOptions });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('preset: when preset looks like an option then strict does not throw', () => {
+  const args = ['--level'];
+  const dashOptions = { level: { type: 'string', preset: '-1' } };
+  const expected = { values: { __proto__: null, level: '-1' }, positionals: [] };
+  const result = parseArgs({ args, options: dashOptions });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('tokens: preset marks tokens which used preset', () => {
+  const args = ['--host', '-h', '--host=a', '-hb'];
+  const expectedTokens = [
+    { kind: 'option', name: 'host', rawName: '--host', index: 0, value: 'localhost', inlineValue: undefined, usedPreset: true },
+    { kind: 'option', name: 'host', rawName: '-h', index: 1, value: 'localhost', inlineValue: undefined, usedPreset: true },
+    { kind: 'option', name: 'host', rawName: '--host', index: 2, value: 'a', inlineValue: true },
+    { kind: 'option', name: 'host', rawName: '-h', index: 3, value: 'b', inlineValue: true },
+  ];
+  const { tokens } = parseArgs({ args, options, tokens: true });
+  assert.deepStrictEqual(tokens, expectedTokens);
+});
+
+test('preset must be a string', () => {
+  const badOptions = { host: { type: 'string', preset: true } };
+  assert.throws(() => {
+    parseArgs({ args: [], options: badOptions });
+  }, /options\.host\.preset must be String/);
+});
+
+test('preset is only supported for options which take a value', () => {
+  const badOptions = { debug: { type: 'boolean', preset: 'yes' } };
+  assert.throws(() => {
+    parseArgs({ args: [], options: badOptions });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.debug\.preset is only supported for options which take a value/
+  });
+});
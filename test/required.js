@@ -0,0 +1,79 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  file: { type: 'string', short: 'f', required: true },
+  out: { type: 'string', required: true },
+  verbose: { type: 'boolean', required: false },
+};
+
+test('required: when required options supplied then does not throw', () => {
+  const args = ['-f', 'in.txt', '--out', 'out.txt'];
+  const expected = { values: { __proto__: null, file: 'in.txt', out: 'out.txt' }, positionals: [] };
+  const result = parseArgs({ args, options });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('required: when required option missing then throws', () => {
+  const args = ['--out', 'out.txt'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_MISSING_OPTION',
+    message: "Missing required option '-f, --file'",
+    options: ['-f, --file']
+  });
+});
+
+test('required: when several required options missing then lists all', () => {
+  const args = ['--verbose'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_MISSING_OPTION',
+    message: "Missing required options '-f, --file', '--out'",
+    options: ['-f, --file', '--out']
+  });
+});
+
+test('required: when multiple option used once then does not throw', () => {
+  const args = ['--tag', 'a'];
+  const multipleOptions = { tag: { type: 'string', multiple: true, required: true } };
+  const expected = { values: { __proto__: null, tag: ['a'] }, positionals: [] };
+  const result = parseArgs({ args, options: multipleOptions });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('required: when negated boolean used then option supplied', () => {
+  const args = ['--no-color'];
+  const negatableOptions = { color: { type: 'boolean', negatable: true, required: true } };
+  const expected = { values: { __proto__: null, color: false }, positionals: [] };
+  const result = parseArgs({ args, options: negatableOptions });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('required: when strict:false then missing option does not throw', () => {
+  const args = [];
+  const expected = { values: { __proto__: null }, positionals: [] };
+  const result = parseArgs({ args, options, strict: false });
+  assert.deepStrictEqual(result, expected);
+});
+
+test('required must be a boolean', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { file: { type: 'string', required: 'yes' } } });
+  }, /options\.file\.required must be Boolean/);
+});
+
+test('required cannot be used with a default value', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], options: { file: { type: 'string', required: true, default: 'a.txt' } } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: /options\.file\.required cannot be used with a default value/
+  });
+});
@@ -0,0 +1,138 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  verbose: { type: 'boolean', short: 'v' },
+  name: { type: 'string' },
+};
+
+function makeReadFile(files) {
+  return (path) => {
+    if (!Object.prototype.hasOwnProperty.call(files, path)) {
+      throw new Error(`ENOENT: no such file or directory, open '${path}'`);
+    }
+    return files[path];
+  };
+}
+
+test('responseFiles: response file is replaced by its args', () => {
+  const readFile = makeReadFile({ 'args.txt': '--verbose\n--name "a b"\n' });
+  const result = parseArgs({ args: ['@args.txt', 'x'], options, allowPositionals: true, responseFiles: true, readFile });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true, name: 'a b' });
+  assert.deepStrictEqual(result.positionals, ['x']);
+});
+
+test('responseFiles: when not enabled then response file is a positional', () => {
+  const readFile = () => assert.fail('should not read file');
+  const result = parseArgs({ args: ['@args.txt'], allowPositionals: true, readFile });
+  assert.deepStrictEqual(result.positionals, ['@args.txt']);
+});
+
+test('responseFiles: lone @ is a positional', () => {
+  const result = parseArgs({ args: ['@'], allowPositionals: true, responseFiles: true, readFile: makeReadFile({}) });
+  assert.deepStrictEqual(result.positionals, ['@']);
+});
+
+test('responseFiles: comments in response file are ignored', () => {
+  const readFile = makeReadFile({ 'args.txt': '# options\n-v # be verbose\n' });
+  const result = parseArgs({ args: ['@args.txt'], options, responseFiles: true, readFile });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+});
+
+test('responseFiles: response files may include response files', () => {
+  const readFile = makeReadFile({ 'a.txt': '-v @b.txt', 'b.txt': '--name b' });
+  const result = parseArgs({ args: ['@a.txt'], options, responseFiles: true, readFile });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true, name: 'b' });
+});
+
+test('responseFiles: response file may be used more than once', () => {
+  const readFile = makeReadFile({ 'a.txt': '@b.txt @b.txt', 'b.txt': '-v' });
+  const result = parseArgs({ args: ['@a.txt'], options: { verbose: { type: 'boolean', short: 'v', multiple: true } }, responseFiles: true, readFile });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: [true, true] });
+});
+
+test('responseFiles: when response files form a cycle then throws', () => {
+  const readFile = makeReadFile({ 'a.txt': '-v @b.txt', 'b.txt': '@a.txt' });
+  assert.throws(() => {
+    parseArgs({ args: ['@a.txt'], options, responseFiles: true, readFile });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_RESPONSE_FILE',
+    message: "Response file 'a.txt' is included in a cycle",
+    file: 'a.txt',
+  });
+});
+
+test('responseFiles: when response file can not be read then throws with cause', () => {
+  assert.throws(() => {
+    parseArgs({ args: ['@missing.txt'], responseFiles: true, readFile: makeReadFile({}) });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_RESPONSE_FILE',
+    message: "Response file 'missing.txt' could not be read: ENOENT: no such file or directory, open 'missing.txt'",
+    file: 'missing.txt',
+  });
+});
+
+test('responseFiles: when response file has unterminated quote then throws', () => {
+  const readFile = makeReadFile({ 'args.txt': '--name "a b' });
+  assert.throws(() => {
+    parseArgs({ args: ['@args.txt'], options, responseFiles: true, readFile });
+  }, {
+    code: 'ERR_PARSE_ARGS_INVALID_RESPONSE_FILE',
+    message: "Response file 'args.txt' line 1 has an unterminated quote",
+  });
+});
+
+test('responseFiles: when collect then collects response file errors and skips the files', () => {
+  const readFile = makeReadFile({ 'a.txt': '-v @b.txt', 'b.txt': '@a.txt --name b', 'quote.txt': '--name "a b' });
+  const result = parseArgs({ args: ['@missing.txt', '@a.txt', '@quote.txt', 'x'], options, allowPositionals: true, responseFiles: true, readFile, errors: 'collect' });
+  assert.deepStrictEqual(result.errors.map((error) => error.message), [
+    "Response file 'missing.txt' could not be read: ENOENT: no such file or directory, open 'missing.txt'",
+    "Response file 'a.txt' is included in a cycle",
+    "Response file 'quote.txt' line 1 has an unterminated quote",
+  ]);
+  assert.deepStrictEqual(result.errors.map((error) => error.code), Array(3).fill('ERR_PARSE_ARGS_INVALID_RESPONSE_FILE'));
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true, name: 'b' });
+  assert.deepStrictEqual(result.positionals, ['x']);
+});
+
+test('responseFiles: args after option terminator are not expanded', () => {
+  const readFile = makeReadFile({ 'a.txt': '-- @b.txt' });
+  const result = parseArgs({ args: ['@a.txt', '@c.txt'], allowPositionals: true, responseFiles: true, readFile });
+  assert.deepStrictEqual(result.positionals, ['@b.txt', '@c.txt']);
+});
+
+test('responseFiles: tokens record file and line', () => {
+  const readFile = makeReadFile({ 'args.txt': '-v\n\n--name\n  value\n' });
+  const { tokens } = parseArgs({ args: ['@args.txt', 'x'], options, allowPositionals: true, responseFiles: true, readFile, tokens: true });
+  assert.deepStrictEqual(tokens, [
+    { kind: 'option', name: 'verbose', rawName: '-v', index: 0, value: undefined, inlineValue: undefined, file: 'args.txt', line: 1 },
+    { kind: 'option', name: 'name', rawName: '--name', index: 1, value: 'value', inlineValue: false, file: 'args.txt', line: 3 },
+    { kind: 'positional', index: 3, value: 'x' },
+  ]);
+});
+
+test('responseFiles: usage errors include file and line', () => {
+  const readFile = makeReadFile({ 'args.txt': '-v\n--bogus\n' });
+  assert.throws(() => {
+    parseArgs({ args: ['@args.txt'], options, responseFiles: true, readFile });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: "Unknown option '--bogus' (response file 'args.txt' line 2)",
+  });
+});
+
+test('responseFiles: readFile must return a string', () => {
+  assert.throws(() => {
+    parseArgs({ args: ['@args.txt'], responseFiles: true, readFile: () => ['-v'] });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('responseFiles: throws if readFile not a function', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], responseFiles: true, readFile: 'fs' });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
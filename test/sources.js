@@ -0,0 +1,75 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+test('sources: when sources not requested then not returned', () => {
+  const args = ['--file', 'a'];
+  const options = { file: { type: 'string' } };
+  const result = parseArgs({ args, options });
+  assert.strictEqual(result.sources, undefined);
+  assert.strictEqual(result.indices, undefined);
+});
+
+test('sources: when option in args then source is cli with index of each use', () => {
+  const args = ['--file', 'a', 'x', '-f', 'b', '-vf', 'c'];
+  const options = { file: { type: 'string', short: 'f', multiple: true }, verbose: { type: 'boolean', short: 'v' } };
+  const result = parseArgs({ args, options, allowPositionals: true, sources: true });
+  assert.deepStrictEqual(result.sources, { __proto__: null, file: 'cli', verbose: 'cli' });
+  assert.deepStrictEqual(result.indices, { __proto__: null, file: [0, 3, 5], verbose: [5] });
+});
+
+test('sources: when option uses default then source is default', () => {
+  const args = [];
+  const options = { file: { type: 'string', default: 'FOO' }, verbose: { type: 'boolean' } };
+  const result = parseArgs({ args, options, sources: true });
+  assert.deepStrictEqual(result.sources, { __proto__: null, file: 'default' });
+  assert.deepStrictEqual(result.indices, { __proto__: null });
+});
+
+test('sources: when option uses env then source is env', () => {
+  const args = [];
+  const options = { file: { type: 'string', env: 'FILE', default: 'FOO' } };
+  const result = parseArgs({ args, options, env: { FILE: 'bar' }, sources: true });
+  assert.deepStrictEqual(result.sources, { __proto__: null, file: 'env' });
+  assert.deepStrictEqual(result.indices, { __proto__: null });
+});
+
+test('sources: when negated option in args then source is cli', () => {
+  const args = ['--no-color'];
+  const options = { color: { type: 'boolean', negatable: true, default: true } };
+  const result = parseArgs({ args, options, sources: true });
+  assert.deepStrictEqual(result.sources, { __proto__: null, color: 'cli' });
+  assert.deepStrictEqual(result.indices, { __proto__: null, color: [0] });
+});
+
+test('sources: when commands then returns sources for each command', () => {
+  const args = ['--verbose', 'build', '--target', 'es2020'];
+  const options = { verbose: { type: 'boolean' } };
+  const commands = { build: { options: { target: { type: 'string' }, minify: { type: 'boolean', default: false } } } };
+  const result = parseArgs({ args, options, commands, sources: true });
+  assert.deepStrictEqual(result.sources, { __proto__: null, verbose: 'cli' });
+  assert.deepStrictEqual(result.indices, { __proto__: null, verbose: [0] });
+  assert.deepStrictEqual(result.commandSources, [{ __proto__: null, target: 'cli', minify: 'default' }]);
+  assert.deepStrictEqual(result.commandIndices, [{ __proto__: null, target: [2] }]);
+});
+
+test('sources: when parent option used after command then stored with parent', () => {
+  const args = ['build', '--verbose'];
+  const options = { verbose: { type: 'boolean' } };
+  const commands = { build: {} };
+  const result = parseArgs({ args, options, commands, sources: true });
+  assert.deepStrictEqual(result.sources, { __proto__: null, verbose: 'cli' });
+  assert.deepStrictEqual(result.indices, { __proto__: null, verbose: [1] });
+  assert.deepStrictEqual(result.commandSources, [{ __proto__: null }]);
+});
+
+test('sources: when sources is not a boolean then throws', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], sources: 'yes' });
+  }, {
+    code: 'ERR_INVALID_ARG_TYPE'
+  });
+});
@@ -0,0 +1,80 @@
+'use strict';
+/* eslint max-len: 0 */
+
+const test = require('tape');
+const { splitResponseFile } = require('../response-files.js');
+
+test('splitResponseFile: when words separated by whitespace then returns words with lines', (t) => {
+  t.deepEqual(splitResponseFile('--foo bar\n\t-x\r\n\n  baz  ', 'args.txt'), [
+    { value: '--foo', line: 1 },
+    { value: 'bar', line: 1 },
+    { value: '-x', line: 2 },
+    { value: 'baz', line: 4 },
+  ]);
+  t.end();
+});
+
+test('splitResponseFile: when empty then returns no words', (t) => {
+  t.deepEqual(splitResponseFile('', 'args.txt'), []);
+  t.deepEqual(splitResponseFile(' \n ', 'args.txt'), []);
+  t.end();
+});
+
+test('splitResponseFile: quotes keep whitespace', (t) => {
+  t.deepEqual(splitResponseFile('"a b" \'c  d\' e"f g"h', 'args.txt'), [
+    { value: 'a b', line: 1 },
+    { value: 'c  d', line: 1 },
+    { value: 'ef gh', line: 1 },
+  ]);
+  t.end();
+});
+
+test('splitResponseFile: empty quotes are an empty word', (t) => {
+  t.deepEqual(splitResponseFile('--name "" \'\'', 'args.txt'), [
+    { value: '--name', line: 1 },
+    { value: '', line: 1 },
+    { value: '', line: 1 },
+  ]);
+  t.end();
+});
+
+test('splitResponseFile: backslash escapes quote and backslash in double quotes', (t) => {
+  t.deepEqual(splitResponseFile('"say \\"hi\\"" "a\\\\b" "c\\d" \'e\\\'', 'args.txt'), [
+    { value: 'say "hi"', line: 1 },
+    { value: 'a\\b', line: 1 },
+    { value: 'c\\d', line: 1 },
+    { value: 'e\\', line: 1 },
+  ]);
+  t.end();
+});
+
+test('splitResponseFile: backslash outside quotes is kept', (t) => {
+  t.deepEqual(splitResponseFile('C:\\dir\\file.txt', 'args.txt'), [
+    { value: 'C:\\dir\\file.txt', line: 1 },
+  ]);
+  t.end();
+});
+
+test('splitResponseFile: quoted word across lines has line of start', (t) => {
+  t.deepEqual(splitResponseFile('"a\nb" c', 'args.txt'), [
+    { value: 'a\nb', line: 1 },
+    { value: 'c', line: 2 },
+  ]);
+  t.end();
+});
+
+test('splitResponseFile: hash at start of word is a comment', (t) => {
+  t.deepEqual(splitResponseFile('# heading\n-x # trailing\na#b "#c"', 'args.txt'), [
+    { value: '-x', line: 2 },
+    { value: 'a#b', line: 3 },
+    { value: '#c', line: 3 },
+  ]);
+  t.end();
+});
+
+test('splitResponseFile: when unterminated quote then throws', (t) => {
+  t.throws(() => {
+    splitResponseFile('-x\n"abc', 'args.txt');
+  }, /Response file 'args\.txt' line 2 has an unterminated quote/);
+  t.end();
+});
@@ -0,0 +1,132 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { complete, parseArgs } = require('../index.js');
+
+const options = {
+  verbose: { type: 'boolean', short: 'v' },
+};
+
+test('stopAtFirstPositional: args after first positional are positionals', () => {
+  const args = ['-v', 'node', '--inspect', '-v', 'script.js'];
+  const result = parseArgs({ args, options, allowPositionals: true, stopAtFirstPositional: true });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+  assert.deepStrictEqual(result.positionals, ['node', '--inspect', '-v', 'script.js']);
+});
+
+test('stopAtFirstPositional: option terminator after first positional is positional', () => {
+  const args = ['node', '--', 'x'];
+  const result = parseArgs({ args, options, allowPositionals: true, stopAtFirstPositional: true });
+  assert.deepStrictEqual(result.positionals, ['node', '--', 'x']);
+});
+
+test('stopAtFirstPositional: option-stop token records where parsing stopped', () => {
+  const args = ['-v', 'node', '--inspect'];
+  const { tokens } = parseArgs({ args, options, allowPositionals: true, stopAtFirstPositional: true, tokens: true });
+  assert.deepStrictEqual(tokens, [
+    { kind: 'option', name: 'verbose', rawName: '-v', index: 0, value: undefined, inlineValue: undefined },
+    { kind: 'option-stop', index: 1 },
+    { kind: 'positional', index: 1, value: 'node' },
+    { kind: 'positional', index: 2, value: '--inspect' },
+  ]);
+});
+
+test('stopAtFirstPositional: option value is not a positional', () => {
+  const config = { options: { cwd: { type: 'string' } }, allowPositionals: true, stopAtFirstPositional: true };
+  const result = parseArgs({ ...config, args: ['--cwd', 'dir', 'node', '--cwd', 'x'] });
+  assert.deepStrictEqual(result.values, { __proto__: null, cwd: 'dir' });
+  assert.deepStrictEqual(result.positionals, ['node', '--cwd', 'x']);
+});
+
+test('stopAtFirstPositional: when false then options may follow positionals', () => {
+  const args = ['node', '-v'];
+  const result = parseArgs({ args, options, allowPositionals: true });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+  assert.deepStrictEqual(result.positionals, ['node']);
+});
+
+test('stopAtFirstPositional: parsing stops after command', () => {
+  const config = {
+    options,
+    commands: { run: { allowPositionals: true } },
+    stopAtFirstPositional: true,
+  };
+  const result = parseArgs({ ...config, args: ['run', '-v', 'node', '-v'] });
+  assert.deepStrictEqual(result.commands, ['run']);
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+  assert.deepStrictEqual(result.positionals, ['node', '-v']);
+});
+
+test('stopAt: args from stop word are positionals', () => {
+  const args = ['a', '-v', 'exec', 'ls', '-v'];
+  const result = parseArgs({ args, options, allowPositionals: true, stopAt: ['exec'] });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+  assert.deepStrictEqual(result.positionals, ['a', 'exec', 'ls', '-v']);
+});
+
+test('stopAt: option-stop token is before stop word', () => {
+  const args = ['a', 'exec', 'ls'];
+  const { tokens } = parseArgs({ args, options, allowPositionals: true, stopAt: ['exec'], tokens: true });
+  assert.deepStrictEqual(tokens, [
+    { kind: 'positional', index: 0, value: 'a' },
+    { kind: 'option-stop', index: 1 },
+    { kind: 'positional', index: 1, value: 'exec' },
+    { kind: 'positional', index: 2, value: 'ls' },
+  ]);
+});
+
+test('stopAt: stop word as option value does not stop parsing', () => {
+  const config = { options: { mode: { type: 'string' }, ...options }, allowPositionals: true, stopAt: ['exec'] };
+  const result = parseArgs({ ...config, args: ['--mode', 'exec', '-v'] });
+  assert.deepStrictEqual(result.values, { __proto__: null, mode: 'exec', verbose: true });
+  assert.deepStrictEqual(result.positionals, []);
+});
+
+test('stopAt: stop word is not an unknown command', () => {
+  const config = { commands: { build: {} }, allowPositionals: true, stopAt: ['exec'] };
+  const result = parseArgs({ ...config, args: ['exec', 'build'] });
+  assert.strictEqual(result.commands.length, 0);
+  assert.deepStrictEqual(result.positionals, ['exec', 'build']);
+});
+
+test('posixlyCorrect: when POSIXLY_CORRECT set then stops at first positional', () => {
+  const config = { options, allowPositionals: true, posixlyCorrect: true, args: ['a', '-v'] };
+  const result = parseArgs({ ...config, env: { POSIXLY_CORRECT: '' } });
+  assert.deepStrictEqual(result.values, { __proto__: null });
+  assert.deepStrictEqual(result.positionals, ['a', '-v']);
+});
+
+test('posixlyCorrect: when POSIXLY_CORRECT not set then options may follow positionals', () => {
+  const config = { options, allowPositionals: true, posixlyCorrect: true, args: ['a', '-v'] };
+  const result = parseArgs({ ...config, env: {} });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+});
+
+test('posixlyCorrect: when not enabled then POSIXLY_CORRECT is ignored', () => {
+  const config = { options, allowPositionals: true, args: ['a', '-v'] };
+  const result = parseArgs({ ...config, env: { POSIXLY_CORRECT: '1' } });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+});
+
+test('complete: no options after parsing stopped', () => {
+  assert.deepStrictEqual(complete({ options, stopAtFirstPositional: true }, ['node'], '-'), []);
+  assert.deepStrictEqual(complete({ options, stopAt: ['exec'] }, ['exec'], '-'), []);
+  assert.deepStrictEqual(complete({ options, stopAt: ['exec'] }, ['a'], '-'), ['--verbose', '-v']);
+});
+
+test('stopAt: throws if not array of strings', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], stopAt: 'exec' });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('stopAtFirstPositional: throws if not boolean', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], stopAtFirstPositional: 'yes' });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+  assert.throws(() => {
+    parseArgs({ args: [], posixlyCorrect: 1 });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
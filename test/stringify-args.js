@@ -0,0 +1,170 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs, stringifyArgs } = require('../index.js');
+
+function assertRoundTrip(values, options, stringifyConfig) {
+  const args = stringifyArgs(values, options, stringifyConfig);
+  const result = parseArgs({ args, options, allowPositionals: true, allowNegative: stringifyConfig?.allowNegative });
+  assert.deepStrictEqual(result.values, { __proto__: null, ...values });
+  return args;
+}
+
+test('stringifyArgs: options which take values', () => {
+  const options = {
+    name: { type: 'string' },
+    port: { type: 'number' },
+    id: { type: 'bigint' },
+  };
+  const args = assertRoundTrip({ name: 'a b', port: 80, id: 12n }, options);
+  assert.deepStrictEqual(args, ['--name', 'a b', '--port', '80', '--id', '12']);
+});
+
+test('stringifyArgs: empty string value', () => {
+  const args = assertRoundTrip({ name: '' }, { name: { type: 'string' } });
+  assert.deepStrictEqual(args, ['--name', '']);
+});
+
+test('stringifyArgs: values starting with dash are in same arg', () => {
+  const options = {
+    name: { type: 'string', short: 'n' },
+    offset: { type: 'number' },
+  };
+  const args = assertRoundTrip({ name: '-x', offset: -5 }, options, { style: 'short' });
+  assert.deepStrictEqual(args, ['--name=-x', '--offset=-5']);
+});
+
+test('stringifyArgs: booleans', () => {
+  const options = {
+    verbose: { type: 'boolean' },
+    color: { type: 'boolean', negatable: true },
+  };
+  const args = assertRoundTrip({ verbose: true, color: false }, options);
+  assert.deepStrictEqual(args, ['--verbose', '--no-color']);
+});
+
+test('stringifyArgs: false boolean uses allowNegative', () => {
+  const args = assertRoundTrip({ verbose: false }, { verbose: { type: 'boolean' } }, { allowNegative: true });
+  assert.deepStrictEqual(args, ['--no-verbose']);
+});
+
+test('stringifyArgs: false boolean matching default is left out', () => {
+  const options = { dry: { type: 'boolean', default: false } };
+  const args = assertRoundTrip({ dry: false }, options);
+  assert.deepStrictEqual(args, []);
+});
+
+test('stringifyArgs: when false boolean can not be used in args then throws', () => {
+  assert.throws(() => {
+    stringifyArgs({ verbose: false }, { verbose: { type: 'boolean' } });
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property values.verbose can not be used in args as the option is not negatable. Received 'false'",
+  });
+});
+
+test('stringifyArgs: multiple options repeat for each element', () => {
+  const options = {
+    tag: { type: 'string', multiple: true },
+    flag: { type: 'boolean', multiple: true, negatable: true },
+  };
+  const args = assertRoundTrip({ tag: ['a', '-b'], flag: [true, false] }, options);
+  assert.deepStrictEqual(args, ['--tag', 'a', '--tag=-b', '--flag', '--no-flag']);
+});
+
+test('stringifyArgs: count options repeat for count', () => {
+  const options = { verbose: { type: 'count', short: 'v' }, quiet: { type: 'count', negatable: true } };
+  const args = assertRoundTrip({ verbose: 3, quiet: 0 }, options, { style: 'short' });
+  assert.deepStrictEqual(args, ['-v', '-v', '-v', '--no-quiet']);
+});
+
+test('stringifyArgs: options with preset have value in same arg', () => {
+  const options = { color: { type: 'string', short: 'c', preset: 'auto' } };
+  const args = assertRoundTrip({ color: 'always' }, options, { style: 'short' });
+  assert.deepStrictEqual(args, ['--color=always']);
+});
+
+test('stringifyArgs: short style uses short option where available', () => {
+  const options = {
+    verbose: { type: 'boolean', short: 'v' },
+    output: { type: 'string', short: 'o' },
+    name: { type: 'string' },
+  };
+  const args = assertRoundTrip({ verbose: true, output: 'dir', name: 'x' }, options, { style: 'short' });
+  assert.deepStrictEqual(args, ['-v', '-o', 'dir', '--name', 'x']);
+});
+
+test('stringifyArgs: undefined values are left out', () => {
+  const args = stringifyArgs({ name: undefined }, { name: { type: 'string' } });
+  assert.deepStrictEqual(args, []);
+});
+
+test('stringifyArgs: positionals follow options', () => {
+  const options = { verbose: { type: 'boolean' } };
+  const args = stringifyArgs({ verbose: true }, options, { positionals: ['a', 'b'] });
+  assert.deepStrictEqual(args, ['--verbose', 'a', 'b']);
+});
+
+test('stringifyArgs: option terminator added before positionals starting with dash', () => {
+  const options = { verbose: { type: 'boolean' } };
+  const args = stringifyArgs({ verbose: true }, options, { positionals: ['a', '-b'] });
+  assert.deepStrictEqual(args, ['--verbose', '--', 'a', '-b']);
+  const result = parseArgs({ args, options, allowPositionals: true });
+  assert.deepStrictEqual(result.positionals, ['a', '-b']);
+});
+
+test('stringifyArgs: pick only includes listed options', () => {
+  const options = { a: { type: 'boolean' }, b: { type: 'boolean' }, c: { type: 'boolean' } };
+  const args = stringifyArgs({ a: true, b: true, c: true }, options, { pick: ['c', 'a'] });
+  assert.deepStrictEqual(args, ['--a', '--c']);
+});
+
+test('stringifyArgs: omit leaves out listed options', () => {
+  const options = { a: { type: 'boolean' }, b: { type: 'boolean' }, c: { type: 'boolean' } };
+  const args = stringifyArgs({ a: true, b: true, c: true }, options, { omit: ['b'] });
+  assert.deepStrictEqual(args, ['--a', '--c']);
+});
+
+test('stringifyArgs: round trip of values from parseArgs', () => {
+  const options = {
+    verbose: { type: 'count', short: 'v' },
+    define: { type: 'string', short: 'D', multiple: true },
+    level: { type: 'number', default: 1 },
+    color: { type: 'string', choices: ['always', 'never'] },
+  };
+  const { values } = parseArgs({ args: ['-vv', '-Da=1', '-D-b', '--color', 'never'], options });
+  assertRoundTrip(values, options);
+  assertRoundTrip(values, options, { style: 'short' });
+});
+
+test('stringifyArgs: throws if value is for unknown option', () => {
+  assert.throws(() => {
+    stringifyArgs({ bogus: true }, {});
+  }, {
+    code: 'ERR_INVALID_ARG_VALUE',
+    message: "The property values.bogus is not a configured option. Received 'true'",
+  });
+});
+
+test('stringifyArgs: throws if value does not match option type', () => {
+  assert.throws(() => {
+    stringifyArgs({ port: '80' }, { port: { type: 'number' } });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+  assert.throws(() => {
+    stringifyArgs({ tag: 'a' }, { tag: { type: 'string', multiple: true } });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('stringifyArgs: throws if value not one of choices', () => {
+  assert.throws(() => {
+    stringifyArgs({ color: 'blue' }, { color: { type: 'string', choices: ['red'] } });
+  }, { code: 'ERR_INVALID_ARG_VALUE' });
+});
+
+test('stringifyArgs: throws if style not long or short', () => {
+  assert.throws(() => {
+    stringifyArgs({}, {}, { style: 'posix' });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
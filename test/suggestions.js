@@ -0,0 +1,136 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  verbose: { type: 'boolean', short: 'v' },
+  version: { type: 'boolean', short: 'V' },
+};
+
+test('suggestions: when unknown option is close to an option then suggests it', () => {
+  const args = ['--verbsoe'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: "Unknown option '--verbsoe'. Did you mean '--verbose'?",
+    suggestions: ['--verbose']
+  });
+});
+
+test('suggestions: when unknown option is close to several options then suggests all', () => {
+  const args = ['--vrsion'];
+  assert.throws(() => {
+    parseArgs({ args, options: { version: { type: 'boolean' }, versions: { type: 'boolean' } } });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: "Unknown option '--vrsion'. Did you mean one of '--version', '--versions'?",
+    suggestions: ['--version', '--versions']
+  });
+});
+
+test('suggestions: when unknown short option differs by case then suggests short option', () => {
+  const args = ['-x', '-D'];
+  assert.throws(() => {
+    parseArgs({ args: ['-D'], options: { debug: { type: 'boolean', short: 'd' } } });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: "Unknown option '-D'. Did you mean '-d'?",
+    suggestions: ['-d']
+  });
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: "Unknown option '-x'",
+    suggestions: []
+  });
+});
+
+test('suggestions: when unknown option not close then no suggestions', () => {
+  const args = ['--color'];
+  assert.throws(() => {
+    parseArgs({ args, options });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: "Unknown option '--color'",
+    suggestions: []
+  });
+});
+
+test('suggestions: when no suggestions and allowPositionals then suggests --', () => {
+  const args = ['--color'];
+  assert.throws(() => {
+    parseArgs({ args, options, allowPositionals: true });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: /place it at the end of the command after '--'/,
+    suggestions: []
+  });
+});
+
+test('suggestions: when unknown option used after command then suggests parent options', () => {
+  const args = ['build', '--verbos'];
+  const commands = { build: { options: { target: { type: 'string' } } } };
+  assert.throws(() => {
+    parseArgs({ args, options, commands });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    suggestions: ['--verbose']
+  });
+});
+
+test('suggestions: when unknown option close to alias then suggests alias', () => {
+  const args = ['--dri', 'x'];
+  assert.throws(() => {
+    parseArgs({ args, options: { directory: { type: 'string', aliases: ['dir'] } } });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    suggestions: ['--dir']
+  });
+});
+
+test('suggestions: when unknown option close to hidden option then does not suggest it', () => {
+  const args = ['--debgu'];
+  assert.throws(() => {
+    parseArgs({ args, options: { debug: { type: 'boolean', hidden: true } } });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    suggestions: []
+  });
+});
+
+test('suggestions: when unknown option close to negated option and allowNegative then suggests negated option', () => {
+  const args = ['--no-colr'];
+  assert.throws(() => {
+    parseArgs({ args, options: { color: { type: 'boolean' } }, allowNegative: true });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    message: "Unknown option '--no-colr'. Did you mean '--no-color'?",
+    suggestions: ['--no-color']
+  });
+});
+
+test('suggestions: when unknown option close to negated option used after command then suggests negated option', () => {
+  const args = ['build', '--no-colr'];
+  const commands = { build: { options: { color: { type: 'boolean' } } } };
+  assert.throws(() => {
+    parseArgs({ args, commands, allowNegative: true });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    suggestions: ['--no-color']
+  });
+});
+
+test('suggestions: when unknown option close to negated option which is not negatable then does not suggest it', () => {
+  const args = ['--no-colr'];
+  assert.throws(() => {
+    parseArgs({ args, options: { color: { type: 'boolean' } } });
+  }, {
+    code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    suggestions: []
+  });
+});
@@ -0,0 +1,123 @@
+/* global assert */
+/* eslint max-len: 0 */
+'use strict';
+
+const { test } = require('./utils');
+const { parseArgs } = require('../index.js');
+
+const options = {
+  verbose: { type: 'boolean', short: 'v' },
+  out: { type: 'string', short: 'o' },
+};
+
+test('allowUnknown: unknown options are returned as used in args', () => {
+  const args = ['--inspect', '-v', '--max-old-space-size=100', '-o', 'dir', '-x'];
+  const result = parseArgs({ args, options, allowUnknown: true });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true, out: 'dir' });
+  assert.deepStrictEqual(result.unknown, ['--inspect', '--max-old-space-size=100', '-x']);
+});
+
+test('allowUnknown: when not enabled then unknown not returned', () => {
+  const result = parseArgs({ args: ['-v'], options });
+  assert.strictEqual(result.unknown, undefined);
+});
+
+test('allowUnknown: unknown option takes following value', () => {
+  const args = ['--port', '9229', '-p', '80', '-v'];
+  const result = parseArgs({ args, options, allowUnknown: true });
+  assert.deepStrictEqual(result.unknown, ['--port', '9229', '-p', '80']);
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+});
+
+test('allowUnknown: unknown option does not take following option-like arg', () => {
+  const args = ['--dry', '-v', '--x', '-'];
+  const result = parseArgs({ args, options, allowUnknown: true, allowPositionals: true });
+  assert.deepStrictEqual(result.unknown, ['--dry', '--x']);
+  assert.deepStrictEqual(result.positionals, ['-']);
+});
+
+test('allowUnknown: unknown option does not take following command or stop word', () => {
+  const config = { options, allowUnknown: true, commands: { build: { allowPositionals: true } } };
+  const result = parseArgs({ ...config, args: ['--dry', 'build', '--fast', 'exec'], stopAt: ['exec'] });
+  assert.deepStrictEqual(result.commands, ['build']);
+  assert.deepStrictEqual(result.unknown, ['--dry', '--fast']);
+  assert.deepStrictEqual(result.positionals, ['exec']);
+});
+
+test('allowUnknown: unknown short option at start of group keeps the group', () => {
+  const result = parseArgs({ args: ['-xyz', '-n3'], options, allowUnknown: true });
+  assert.deepStrictEqual(result.unknown, ['-xyz', '-n3']);
+  assert.deepStrictEqual(result.values, { __proto__: null });
+});
+
+test('allowUnknown: unknown short option in group keeps rest of group', () => {
+  const result = parseArgs({ args: ['-vxyz'], options, allowUnknown: true });
+  assert.deepStrictEqual(result.unknown, ['-xyz']);
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+});
+
+test('allowUnknown: unknown short option at end of group is re-spelled with its value', () => {
+  const result = parseArgs({ args: ['-vx', 'val'], options, allowUnknown: true });
+  assert.deepStrictEqual(result.unknown, ['-x', 'val']);
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+});
+
+test('allowUnknown: unknown options are in order with values', () => {
+  const args = ['-a', '--b=1', '-v', '--c', 'd', '-o', 'e', '--f'];
+  const result = parseArgs({ args, options, allowUnknown: true });
+  assert.deepStrictEqual(result.unknown, ['-a', '--b=1', '--c', 'd', '--f']);
+});
+
+test('allowUnknown: options after option terminator are positionals', () => {
+  const result = parseArgs({ args: ['--a', '--', '--b'], options, allowUnknown: true, allowPositionals: true });
+  assert.deepStrictEqual(result.unknown, ['--a']);
+  assert.deepStrictEqual(result.positionals, ['--b']);
+});
+
+test('allowUnknown: tokens for unknown options are marked', () => {
+  const { tokens } = parseArgs({ args: ['-v', '--port', '80'], options, allowUnknown: true, tokens: true });
+  assert.deepStrictEqual(tokens, [
+    { kind: 'option', name: 'verbose', rawName: '-v', index: 0, value: undefined, inlineValue: undefined },
+    { kind: 'option', name: 'port', rawName: '--port', index: 1, value: '80', inlineValue: false, known: false },
+  ]);
+});
+
+test('allowUnknown: options of parent commands are known', () => {
+  const config = { options, allowUnknown: true, commands: { build: { options: { watch: { type: 'boolean' } } } } };
+  const result = parseArgs({ ...config, args: ['build', '-v', '--watch', '--fast'] });
+  assert.deepStrictEqual(result.values, { __proto__: null, verbose: true });
+  assert.deepStrictEqual(result.commandValues, [{ __proto__: null, watch: true }]);
+  assert.deepStrictEqual(result.unknown, ['--fast']);
+});
+
+test('allowUnknown: when not strict then unknown options are not stored in values', () => {
+  const result = parseArgs({ args: ['--port', '80'], options, allowUnknown: true, strict: false });
+  assert.deepStrictEqual(result.values, { __proto__: null });
+  assert.deepStrictEqual(result.unknown, ['--port', '80']);
+  assert.deepStrictEqual(result.positionals, []);
+});
+
+test('allowUnknown: throws if not boolean', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], allowUnknown: 'yes' });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
+
+test('allowUnknown: unknown option takes following arg as value by default', () => {
+  const result = parseArgs({ args: ['--dry-run', 'input.txt'], options, allowUnknown: true, allowPositionals: true });
+  assert.deepStrictEqual(result.unknown, ['--dry-run', 'input.txt']);
+  assert.deepStrictEqual(result.positionals, []);
+});
+
+test('unknownTakesValue: when false then following arg is positional', () => {
+  const args = ['--dry-run', 'input.txt', '-x', 'out', '--level=3', '-yz'];
+  const result = parseArgs({ args, options, allowUnknown: true, unknownTakesValue: false, allowPositionals: true });
+  assert.deepStrictEqual(result.unknown, ['--dry-run', '-x', '--level=3', '-yz']);
+  assert.deepStrictEqual(result.positionals, ['input.txt', 'out']);
+});
+
+test('unknownTakesValue: throws if not boolean', () => {
+  assert.throws(() => {
+    parseArgs({ args: [], allowUnknown: true, unknownTakesValue: 'no' });
+  }, { code: 'ERR_INVALID_ARG_TYPE' });
+});
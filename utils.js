@@ -2,17 +2,36 @@
 
 const {
   ArrayPrototypeFind,
+  ArrayPrototypeForEach,
+  ArrayPrototypeIncludes,
+  ArrayPrototypeMap,
+  ArrayPrototypePush,
+  ArrayPrototypeSort,
+  MathFloor,
+  MathMax,
+  MathMin,
+  BigInt,
+  Number,
+  NumberIsFinite,
+  NumberIsSafeInteger,
   ObjectEntries,
   ObjectPrototypeHasOwnProperty: ObjectHasOwn,
+  RegExpPrototypeExec,
   StringPrototypeCharAt,
   StringPrototypeIncludes,
+  StringPrototypeSlice,
   StringPrototypeStartsWith,
+  StringPrototypeToLowerCase,
 } = require('./internal/primordials');
 
 const {
   validateObject,
 } = require('./internal/validators');
 
+const {
+  kEmptyObject,
+} = require('./internal/util');
+
 // These are internal utilities to make the parsing logic easier to read, and
 // add lots of detail for the curious. They are in a separate file to allow
 // unit testing, although that is not essential (this could be rolled into
@@ -36,6 +55,20 @@ function optionsGetOwn(options, longOption, prop) {
     return objectGetOwn(options[longOption], prop);
 }
 
+/**
+ * Determines if the option is configured with a type which takes an
+ * option-argument, such as `string` or `number`.
+ * @example
+ * optionTakesValue('foo', { foo: { type: 'string' } }) // returns true
+ * optionTakesValue('foo', { foo: { type: 'number' } }) // returns true
+ * optionTakesValue('foo', { foo: { type: 'boolean' } }) // returns false
+ * optionTakesValue('foo', {}) // returns false
+ */
+function optionTakesValue(longOption, options) {
+  const type = optionsGetOwn(options, longOption, 'type');
+  return type === 'string' || type === 'number' || type === 'bigint';
+}
+
 /**
  * Determines if the argument may be used as an option value.
  * @example
@@ -128,7 +161,7 @@ function isShortOptionGroup(arg, options) {
 
   const firstShort = StringPrototypeCharAt(arg, 1);
   const longOption = findLongOptionForShort(firstShort, options);
-  return optionsGetOwn(options, longOption, 'type') !== 'string';
+  return !optionTakesValue(longOption, options);
 }
 
 /**
@@ -149,27 +182,314 @@ function isShortOptionAndValue(arg, options) {
 
   const shortOption = StringPrototypeCharAt(arg, 1);
   const longOption = findLongOptionForShort(shortOption, options);
-  return optionsGetOwn(options, longOption, 'type') === 'string';
+  return optionTakesValue(longOption, options);
 }
 
 /**
  * Find the long option associated with a short option. Looks for a configured
- * `short` and returns the short option itself if a long option is not found.
+ * `short` or `shortAliases` and returns the short option itself if a long
+ * option is not found.
  * @example
  * findLongOptionForShort('a', {}) // returns 'a'
  * findLongOptionForShort('b', {
  *   options: { bar: { short: 'b' } }
  * }) // returns 'bar'
+ * findLongOptionForShort('B', {
+ *   options: { bar: { short: 'b', shortAliases: ['B'] } }
+ * }) // returns 'bar'
  */
 function findLongOptionForShort(shortOption, options) {
   validateObject(options, 'options');
   const longOptionEntry = ArrayPrototypeFind(
     ObjectEntries(options),
-    ({ 1: optionConfig }) => objectGetOwn(optionConfig, 'short') === shortOption
+    ({ 1: optionConfig }) => {
+      if (objectGetOwn(optionConfig, 'short') === shortOption) return true;
+      const shortAliases = objectGetOwn(optionConfig, 'shortAliases');
+      return shortAliases !== undefined &&
+        ArrayPrototypeIncludes(shortAliases, shortOption);
+    }
   );
   return longOptionEntry?.[0] ?? shortOption;
 }
 
+/**
+ * Find the long option for a long option name, which may be one of the
+ * configured `aliases` of the option. Returns the name itself if it is the
+ * name of an option, or if no option has it as an alias.
+ * @example
+ * findLongOptionForAlias('foo', {}) // returns 'foo'
+ * findLongOptionForAlias('dir', {
+ *   directory: { type: 'string', aliases: ['dir'] }
+ * }) // returns 'directory'
+ */
+function findLongOptionForAlias(longOption, options) {
+  if (ObjectHasOwn(options, longOption)) return longOption;
+  const longOptionEntry = ArrayPrototypeFind(
+    ObjectEntries(options),
+    ({ 1: optionConfig }) => {
+      const aliases = objectGetOwn(optionConfig, 'aliases');
+      return aliases !== undefined &&
+        ArrayPrototypeIncludes(aliases, longOption);
+    }
+  );
+  return longOptionEntry?.[0] ?? longOption;
+}
+
+/**
+ * Find the long options with a name or alias starting with the prefix, for
+ * resolving abbreviated long options. Each option is only listed once, even
+ * if several of its aliases match.
+ * @example
+ * findLongOptionsForPrefix('verb', {
+ *   verbose: { type: 'boolean' },
+ *   version: { type: 'boolean' },
+ * }) // returns ['verbose']
+ * findLongOptionsForPrefix('ver', {
+ *   verbose: { type: 'boolean' },
+ *   version: { type: 'boolean' },
+ * }) // returns ['verbose', 'version']
+ */
+function findLongOptionsForPrefix(prefix, options) {
+  const longOptions = [];
+  ArrayPrototypeForEach(ObjectEntries(options), ({ 0: longOption, 1: optionConfig }) => {
+    const aliases = objectGetOwn(optionConfig, 'aliases') ?? [];
+    if (StringPrototypeStartsWith(longOption, prefix) ||
+        ArrayPrototypeFind(aliases, (alias) => StringPrototypeStartsWith(alias, prefix)) !== undefined) {
+      ArrayPrototypePush(longOptions, longOption);
+    }
+  });
+  return longOptions;
+}
+
+/**
+ * Find the long option negated by a `--no-<name>` argument. The option must be
+ * a configured boolean or count option, and negatable either by setting `negatable` on
+ * the option or by the parser-wide `allowNegative`. The `<name>` may be an
+ * alias of the option. Returns undefined if the argument is not the negation
+ * of a negatable option, including when `no-<name>` is itself a configured
+ * option or alias.
+ * @example
+ * findLongOptionForNegated('no-color', {
+ *   color: { type: 'boolean', negatable: true }
+ * }) // returns 'color'
+ * findLongOptionForNegated('no-color', {
+ *   color: { type: 'boolean' }
+ * }, true) // returns 'color'
+ * findLongOptionForNegated('no-color', {
+ *   color: { type: 'boolean' }
+ * }) // returns undefined
+ */
+function findLongOptionForNegated(longOption, options, allowNegative) {
+  if (!StringPrototypeStartsWith(longOption, 'no-')) return undefined;
+  if (ObjectHasOwn(options, findLongOptionForAlias(longOption, options))) {
+    return undefined;
+  }
+
+  const positiveOption = findLongOptionForAlias(
+    StringPrototypeSlice(longOption, 3), options);
+  const type = optionsGetOwn(options, positiveOption, 'type');
+  if (type !== 'boolean' && type !== 'count') return undefined;
+  const negatable = optionsGetOwn(options, positiveOption, 'negatable') ??
+    allowNegative;
+  return negatable ? positiveOption : undefined;
+}
+
+/**
+ * Convert an option value to a number, or to a bigint for `type: 'bigint'`.
+ * Returns undefined if the value is not valid for the option config.
+ * Only decimal values are accepted, unless the option sets `radixPrefixes`
+ * which also accepts hexadecimal (0x), octal (0o), and binary (0b) integers.
+ * Range checks against `min` and `max` are left to the caller.
+ * @example
+ * parseNumericValue('1.5', { type: 'number' }) // returns 1.5
+ * parseNumericValue('1.5', { type: 'number', integer: true }) // returns undefined
+ * parseNumericValue('0o22', { type: 'number' }) // returns undefined
+ * parseNumericValue('0o22', { type: 'number', radixPrefixes: true }) // returns 18
+ * parseNumericValue('-12', { type: 'bigint' }) // returns -12n
+ */
+function parseNumericValue(value, optionConfig) {
+  const type = objectGetOwn(optionConfig, 'type');
+  const integer = type === 'bigint' || objectGetOwn(optionConfig, 'integer');
+  const radixPrefixes = objectGetOwn(optionConfig, 'radixPrefixes');
+
+  // Handle the sign separately, as Number() and BigInt() do not accept a sign
+  // with a radix prefix.
+  const firstChar = StringPrototypeCharAt(value, 0);
+  const negative = firstChar === '-';
+  const digits = (negative || firstChar === '+') ?
+    StringPrototypeSlice(value, 1) : value;
+
+  let valid;
+  if (RegExpPrototypeExec(/^0[box]/i, digits) !== null) {
+    valid = radixPrefixes &&
+      RegExpPrototypeExec(/^0(b[01]+|o[0-7]+|x[\da-f]+)$/i, digits) !== null;
+  } else if (integer) {
+    valid = RegExpPrototypeExec(/^\d+$/, digits) !== null;
+  } else {
+    valid = RegExpPrototypeExec(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i, digits) !== null;
+  }
+  if (!valid) return undefined;
+
+  if (type === 'bigint') {
+    const bigint = BigInt(digits);
+    return negative ? -bigint : bigint;
+  }
+  const number = Number(digits);
+  if (!NumberIsFinite(number)) return undefined;
+  if (integer && !NumberIsSafeInteger(number)) return undefined;
+  return negative ? -number : number;
+}
+
+/**
+ * Count the single character edits (insertion, deletion, substitution, or
+ * transposition of adjacent characters) needed to change one string into the
+ * other. This is the optimal string alignment form of Damerau-Levenshtein
+ * distance.
+ * @example
+ * editDistance('verbose', 'verbsoe') // returns 1
+ * editDistance('verbose', 'Verbose') // returns 1
+ */
+function editDistance(a, b) {
+  // Rows of distances for prefixes of a, against each prefix of b.
+  let previousRow = [];
+  let currentRow = [];
+  for (let j = 0; j <= b.length; j++) currentRow[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    const twoRowsBack = previousRow;
+    previousRow = currentRow;
+    currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = MathMin(previousRow[j] + 1,
+                             currentRow[j - 1] + 1,
+                             previousRow[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = MathMin(distance, twoRowsBack[j - 2] + 1);
+      }
+      currentRow[j] = distance;
+    }
+  }
+  return currentRow[b.length];
+}
+
+/**
+ * Find the configured options which are close to an unknown option, for
+ * "did you mean" suggestions. Long options are compared with the long names
+ * and aliases, and the negated forms of negatable options, allowing about one
+ * edit per three characters. Short options are compared with the short options
+ * and short aliases, and only suggested when the case differs. Hidden options
+ * are not suggested. Returns the suggestions as used in args, closest first.
+ * @example
+ * findOptionSuggestions('--verbsoe', { verbose: { type: 'boolean' } }) // returns ['--verbose']
+ * findOptionSuggestions('-V', { verbose: { type: 'boolean', short: 'v' } }) // returns ['-v']
+ * findOptionSuggestions('--no-colr', { color: { type: 'boolean' } }, true) // returns ['--no-color']
+ * findOptionSuggestions('--xyz', { verbose: { type: 'boolean' } }) // returns []
+ */
+function findOptionSuggestions(rawName, options, allowNegative = false) {
+  const candidates = [];
+  const isLong = StringPrototypeStartsWith(rawName, '--');
+  const typed = StringPrototypeSlice(rawName, isLong ? 2 : 1);
+  const maxDistance = isLong ? MathMax(1, MathFloor(typed.length / 3)) : 1;
+  const addCandidate = (name, prefix) => {
+    if (name === typed) return;
+    if (!isLong && StringPrototypeToLowerCase(name) !== StringPrototypeToLowerCase(typed)) return;
+    const distance = editDistance(typed, name);
+    if (distance <= maxDistance) {
+      ArrayPrototypePush(candidates, { suggestion: `${prefix}${name}`, distance });
+    }
+  };
+
+  ArrayPrototypeForEach(ObjectEntries(options), ({ 0: longOption, 1: optionConfig }) => {
+    if (objectGetOwn(optionConfig, 'hidden')) return;
+    if (isLong) {
+      const type = objectGetOwn(optionConfig, 'type');
+      const negatable = (type === 'boolean' || type === 'count') &&
+        (objectGetOwn(optionConfig, 'negatable') ?? allowNegative);
+      const addLongCandidate = (longName) => {
+        addCandidate(longName, '--');
+        if (negatable) addCandidate(`no-${longName}`, '--');
+      };
+      addLongCandidate(longOption);
+      ArrayPrototypeForEach(objectGetOwn(optionConfig, 'aliases') ?? [], addLongCandidate);
+    } else {
+      const shortOption = objectGetOwn(optionConfig, 'short');
+      if (shortOption !== undefined) addCandidate(shortOption, '-');
+      ArrayPrototypeForEach(objectGetOwn(optionConfig, 'shortAliases') ?? [], (shortAlias) => {
+        addCandidate(shortAlias, '-');
+      });
+    }
+  });
+
+  // Stable sort, so equally close candidates stay in config order.
+  ArrayPrototypeSort(candidates, (a, b) => a.distance - b.distance);
+  return ArrayPrototypeMap(candidates, ({ suggestion }) => suggestion);
+}
+
+/**
+ * Convert a boolean value from an environment variable to true or false.
+ * Accepts the common spellings, ignoring case. Returns undefined if the value
+ * is not recognised.
+ * @example
+ * parseBooleanValue('1') // returns true
+ * parseBooleanValue('Yes') // returns true
+ * parseBooleanValue('off') // returns false
+ * parseBooleanValue('maybe') // returns undefined
+ */
+function parseBooleanValue(value) {
+  switch (StringPrototypeToLowerCase(value)) {
+    case '1':
+    case 'true':
+    case 'yes':
+    case 'on':
+      return true;
+    case '0':
+    case 'false':
+    case 'no':
+    case 'off':
+      return false;
+  }
+}
+
+/**
+ * Format the option names for use in messages, including the short option
+ * if there is one configured.
+ * @example
+ * formatOptionName('foo', {}) // returns '--foo'
+ * formatOptionName('foo', { foo: { short: 'f' } }) // returns '-f, --foo'
+ */
+function formatOptionName(longOption, options) {
+  const short = optionsGetOwn(options, longOption, 'short');
+  return `${short ? `-${short}, ` : ''}--${longOption}`;
+}
+
+/**
+ * Merge the options for a command with the options of its parent commands.
+ * The command options take precedence for both long and short options.
+ * @example
+ * mergeCommandOptions({ verbose: { type: 'boolean' } }, {
+ *   target: { type: 'string' }
+ * }) // returns { target: { type: 'string' }, verbose: { type: 'boolean' } }
+ *
+ * @param {object} options - option configs available before the command
+ * @param {object|undefined} commandOptions - option configs of the command
+ * @returns {object} option configs available after the command
+ */
+function mergeCommandOptions(options, commandOptions) {
+  // Add command options first, so found first when looking up short options.
+  const merged = { __proto__: null };
+  ArrayPrototypeForEach(ObjectEntries(commandOptions ?? kEmptyObject),
+                        ({ 0: longOption, 1: optionConfig }) => {
+                          merged[longOption] = optionConfig;
+                        });
+  ArrayPrototypeForEach(ObjectEntries(options),
+                        ({ 0: longOption, 1: optionConfig }) => {
+                          if (!ObjectHasOwn(merged, longOption)) {
+                            merged[longOption] = optionConfig;
+                          }
+                        });
+  return merged;
+}
+
 /**
  * Check if the given option includes a default value
  * and that option has not been set by the input args.
@@ -184,7 +504,13 @@ function useDefaultValueOption(longOption, optionConfig, values) {
 }
 
 module.exports = {
+  editDistance,
+  findLongOptionForAlias,
+  findLongOptionForNegated,
   findLongOptionForShort,
+  findLongOptionsForPrefix,
+  findOptionSuggestions,
+  formatOptionName,
   isLoneLongOption,
   isLoneShortOption,
   isLongOptionAndValue,
@@ -192,7 +518,11 @@ module.exports = {
   isOptionLikeValue,
   isShortOptionAndValue,
   isShortOptionGroup,
+  mergeCommandOptions,
+  parseBooleanValue,
+  parseNumericValue,
   useDefaultValueOption,
   objectGetOwn,
   optionsGetOwn,
+  optionTakesValue,
 };